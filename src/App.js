@@ -26,8 +26,38 @@ import {
   Volume2,
   VolumeX,
   Repeat,
+  Repeat1,
   Shuffle,
-  Maximize2
+  Maximize2,
+  ListMusic,
+  ListPlus,
+  ListEnd,
+  GripVertical,
+  Trash2,
+  X,
+  Keyboard,
+  SlidersHorizontal,
+  Moon,
+  Check,
+  Gauge,
+  Database,
+  Download,
+  HardDrive,
+  Loader2,
+  Wifi,
+  Bookmark,
+  History,
+  RotateCcw,
+  ChartColumn,
+  Share2,
+  Flame,
+  Clock,
+  Archive,
+  Upload,
+  FileDown,
+  FolderPlus,
+  Pencil,
+  Plus
 } from 'lucide-react';
 import { Button } from './components/ui/button';
 import { Input } from './components/ui/input';
@@ -36,11 +66,134 @@ import { Card, CardContent, CardHeader, CardTitle } from './components/ui/card';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from './components/ui/tabs';
 import { Badge } from './components/ui/badge';
 import { Avatar, AvatarFallback } from './components/ui/avatar';
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from './components/ui/sheet';
+import { ScrollArea } from './components/ui/scroll-area';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './components/ui/dialog';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger
+} from './components/ui/alert-dialog';
+import { Select, SelectContent, SelectGroup, SelectItem, SelectLabel, SelectTrigger, SelectValue } from './components/ui/select';
+import { Slider } from './components/ui/slider';
+import { Switch } from './components/ui/switch';
+import { Progress } from './components/ui/progress';
+import { Popover, PopoverContent, PopoverTrigger } from './components/ui/popover';
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from './components/ui/dropdown-menu';
 import { toast } from 'sonner';
+import { loadJSON, saveJSON } from './lib/storage';
+import {
+  BASS_BOOST_MAX,
+  BUILT_IN_EQ_PRESETS,
+  EQ_BANDS,
+  EQ_GAIN_RANGE,
+  STEREO_WIDTH_RANGE,
+  createEffectsChain,
+  normalizeEqSettings
+} from './lib/audio-effects';
+import {
+  appendToShuffleOrder,
+  createNextCycle,
+  createShuffleOrder,
+  isValidShuffleOrder,
+  placeAfterCurrent,
+  remapShuffleOrder
+} from './lib/shuffle';
+import {
+  clearPreviewCache,
+  getPreviewCacheEntries,
+  getPreviewCacheKey,
+  getPreviewProviders,
+  invalidatePreview,
+  registerPreviewProvider,
+  resolvePreview
+} from './lib/preview-resolver';
+import {
+  FAVORITES_COLLECTION,
+  SINGLE_SONGS_COLLECTION,
+  clearDownloads,
+  downloadSongs,
+  getDownloadBlob,
+  getDownloadKey,
+  getDownloads,
+  getStorageEstimate,
+  playlistCollection,
+  purgeCollection,
+  removeDownload,
+  summarizeDownloads
+} from './lib/downloads';
+import { DEMO_CLIP_SECONDS, generateAudioUrl } from './lib/demo-audio';
+import {
+  DEFAULT_NORMALIZATION,
+  LOUDNESS_TARGETS,
+  createLimiter,
+  getCachedLoudness,
+  measureTrackLoudness,
+  normalizationGain
+} from './lib/loudness';
+import { WAVEFORM_BARS, getCachedWaveform, loadWaveform } from './lib/waveform';
+import { HISTORY_SOURCES, SKIP_THRESHOLD_SECONDS, addHistoryEvent, clearHistory, getHistory, importHistoryEvents, syncHistory } from './lib/history';
+import { discardFeedback, flushFeedback, recordFeedback } from './lib/feedback';
+import { STATS_RANGES, WEEKDAYS, computeListeningStats, getRangeBounds } from './lib/listening-stats';
+import { renderStatsSummary } from './lib/stats-image';
+import {
+  CONFLICT_STRATEGIES,
+  buildLibraryExport,
+  libraryToCsv,
+  parseLibraryFile,
+  planLibraryImport
+} from './lib/library-transfer';
+import { datedFileName, downloadFile } from './lib/files';
+import {
+  PLAYLIST_FORMATS,
+  parsePlaylistFile,
+  resolvePlaylistEntries,
+  serializePlaylist
+} from './lib/playlist-files';
 
 const BACKEND_URL = process.env.REACT_APP_BACKEND_URL;
 const API = `${BACKEND_URL}/api`;
 
+// Preview providers, tried in order until one has a preview for the song
+registerPreviewProvider({
+  id: 'spotify',
+  name: 'Spotify',
+  resolve: async (song) => song.preview_url || null
+});
+
+registerPreviewProvider({
+  id: 'itunes',
+  name: 'iTunes',
+  resolve: async (song, { signal }) => {
+    const searchTerm = encodeURIComponent(`${song.name} ${song.artist}`);
+    const itunesUrl = `https://itunes.apple.com/search?term=${searchTerm}&media=music&entity=song&limit=1`;
+    const response = await axios.get(itunesUrl, { signal });
+    const itunesPreviewUrl = response.data.results?.[0]?.previewUrl;
+    // Use backend proxy to avoid CORS issues
+    return itunesPreviewUrl ? `${API}/audio/proxy?url=${encodeURIComponent(itunesPreviewUrl)}` : null;
+  }
+});
+
+const getPreviewProviderName = (providerId) => (
+  getPreviewProviders().find(provider => provider.id === providerId)?.name || providerId
+);
+
 // Create query client
 const queryClient = new QueryClient({
   defaultOptions: {
@@ -63,44 +216,385 @@ const useAudioPlayer = () => {
   return context;
 };
 
-const AudioPlayerProvider = ({ children }) => {
-  const [currentSong, setCurrentSong] = useState(null);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [currentTime, setCurrentTime] = useState(0);
-  const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState(0.7);
+// Playback session persisted across reloads
+const PLAYER_SESSION_KEY = 'player-session';
+const PLAYER_SESSION_VERSION = 1;
+
+const loadPlayerSession = () => {
+  const session = loadJSON(PLAYER_SESSION_KEY);
+  if (!session || session.version !== PLAYER_SESSION_VERSION || !session.currentSong) {
+    return null;
+  }
+  return session;
+};
+
+// Finished shuffle cycles kept so "previous" can step back past a cycle's start
+const MAX_SHUFFLE_CYCLES = 5;
+
+// Repeat cycles off -> all -> one
+const REPEAT_MODES = ['off', 'all', 'one'];
+
+const REPEAT_LABELS = {
+  off: 'Repeat off',
+  all: 'Repeat all',
+  one: 'Repeat one'
+};
+
+// Seconds skipped by media keys when the OS doesn't specify an offset
+const MEDIA_SEEK_OFFSET = 10;
+
+// Sleep timer presets; the volume fades out over the final seconds before pausing
+const SLEEP_TIMER_OPTIONS = [
+  { id: '15', label: '15 minutes', minutes: 15 },
+  { id: '30', label: '30 minutes', minutes: 30 },
+  { id: '60', label: '1 hour', minutes: 60 },
+  { id: 'track', label: 'End of current track' },
+  { id: 'queue', label: 'End of queue' }
+];
+const SLEEP_FADE_SECONDS = 30;
+
+// Playback speed steps
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+
+// Equalizer settings and user-saved presets
+const EQ_SETTINGS_KEY = 'eq-settings';
+const EQ_PRESETS_KEY = 'eq-presets';
+
+// Synthetic demo audio instead of real previews
+const DEMO_MODE_KEY = 'demo-mode';
+
+// Player status. A play request goes resolving (finding a source) -> loading
+// (waiting for the element to be able to play) -> playing; after that the audio
+// element drives playing <-> buffering and paused. Failures land in error.
+const LOADING_STATUSES = ['resolving', 'loading'];
+
+// Resolves once `audio` can play its current source, rejects on a load error
+const waitForCanPlay = (audio) => new Promise((resolve, reject) => {
+  if (audio.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA) {
+    resolve();
+    return;
+  }
+  
+  const cleanup = () => {
+    audio.removeEventListener('canplay', handleCanPlay);
+    audio.removeEventListener('error', handleError);
+  };
+  const handleCanPlay = () => {
+    cleanup();
+    resolve();
+  };
+  const handleError = () => {
+    cleanup();
+    reject(audio.error || new Error('Audio failed to load'));
+  };
+  
+  audio.addEventListener('canplay', handleCanPlay);
+  audio.addEventListener('error', handleError);
+});
+
+// Stop an element and drop its source so it stops downloading
+const unloadAudio = (audio) => {
+  audio.pause();
+  audio.removeAttribute('src');
+  audio.load();
+};
+
+// Upcoming queue entries resolved ahead of time; the first is also buffered.
+// Prefetching waits a moment into each track so quick skipping doesn't trigger it.
+const PREFETCH_COUNT = 2;
+const PREFETCH_DELAY_MS = 3000;
+
+// Skip prefetching (and other background downloads) to save data
+const DATA_SAVER_KEY = 'data-saver';
+
+// Implicit feedback (skips, completions, replays, queueing) for recommendations; on unless opted out
+const IMPLICIT_FEEDBACK_KEY = 'implicit-feedback';
+
+// Crossfade between consecutive queue items. Smart transitions leave tracks from
+// the same album to flow into each other untouched.
+const CROSSFADE_KEY = 'crossfade';
+const CROSSFADE_MAX_SECONDS = 12;
+const DEFAULT_CROSSFADE = { seconds: 0, smart: true };
+
+const loadCrossfadeSettings = () => {
+  const settings = { ...DEFAULT_CROSSFADE, ...(loadJSON(CROSSFADE_KEY) || {}) };
+  return {
+    seconds: Math.min(Math.max(Number(settings.seconds) || 0, 0), CROSSFADE_MAX_SECONDS),
+    smart: settings.smart !== false
+  };
+};
+
+const isSameAlbum = (a, b) => {
+  if (a?.album_id && b?.album_id) return a.album_id === b.album_id;
+  return !!a?.album && a.album === b?.album && a.artist === b?.artist;
+};
+
+// Loudness normalization settings
+const NORMALIZATION_KEY = 'normalization';
+
+const loadNormalizationSettings = () => {
+  const settings = { ...DEFAULT_NORMALIZATION, ...(loadJSON(NORMALIZATION_KEY) || {}) };
+  return {
+    enabled: settings.enabled === true,
+    target: LOUDNESS_TARGETS.some(t => t.id === settings.target) ? settings.target : DEFAULT_NORMALIZATION.target
+  };
+};
+
+// Equal-power fade curves, so the overlap doesn't dip in loudness
+const FADE_CURVE_POINTS = 64;
+const createFadeCurve = (fadeIn) => Float32Array.from({ length: FADE_CURVE_POINTS }, (_, i) => {
+  const progress = i / (FADE_CURVE_POINTS - 1);
+  return fadeIn ? Math.sin(progress * Math.PI / 2) : Math.cos(progress * Math.PI / 2);
+});
+
+// A-B loop: loops shorter than this are ignored, so the player can't get stuck
+// seeking back to the same spot
+const MIN_LOOP_SECONDS = 0.5;
+const EMPTY_LOOP = { a: null, b: null };
+
+// Listening history: a play's listening time only counts while audio advances
+const startListening = (play, audio) => {
+  const now = Date.now();
+  play.startedAt = play.startedAt ?? now;
+  play.resumedAt = play.resumedAt ?? now;
+  if (audio && isFinite(audio.duration)) {
+    play.duration = audio.duration;
+  }
+};
+
+const accumulateListening = (play, audio) => {
+  if (!play.resumedAt) return;
+  const seconds = (Date.now() - play.resumedAt) / 1000;
+  play.listened += seconds;
+  play.progressed += seconds * (audio?.playbackRate ?? 1);
+  play.resumedAt = null;
+};
+
+const feedbackSender = (userId) => (signals) => api.sendFeedback(userId, signals);
+
+const syncListeningHistory = (userId) => (
+  syncHistory(userId, events => api.recordHistory(userId, events)).catch(error => {
+    console.warn('Failed to sync listening history:', error.message || error);
+  })
+);
+
+const AudioPlayerProvider = ({ children, currentUser }) => {
+  const location = useLocation();
+  const queryClient = useQueryClient();
+  
+  // Read once on mount; the player comes back paused and only resolves audio on play
+  const [restoredSession] = useState(loadPlayerSession);
+  
+  const [currentSong, setCurrentSong] = useState(restoredSession?.currentSong ?? null);
+  const [status, setStatus] = useState(restoredSession ? 'paused' : 'idle');
+  const [currentTime, setCurrentTime] = useState(restoredSession?.currentTime ?? 0);
+  const [duration, setDuration] = useState(restoredSession?.duration ?? 0);
+  const [volume, setVolume] = useState(restoredSession?.volume ?? 0.7);
   const [isMuted, setIsMuted] = useState(false);
-  const [isShuffled, setIsShuffled] = useState(false);
-  const [isRepeat, setIsRepeat] = useState(false);
-  const [queue, setQueue] = useState([]);
-  const [currentIndex, setCurrentIndex] = useState(0);
+  const [isShuffled, setIsShuffled] = useState(restoredSession?.isShuffled ?? false);
+  const [repeatMode, setRepeatMode] = useState(
+    restoredSession?.repeatMode ?? (restoredSession?.isRepeat ? 'all' : 'off')
+  );
+  const [queue, setQueue] = useState(restoredSession?.queue ?? []);
+  const [currentIndex, setCurrentIndex] = useState(restoredSession?.currentIndex ?? 0);
+  const [shuffleOrder, setShuffleOrder] = useState(() => (
+    isValidShuffleOrder(restoredSession?.shuffleOrder, restoredSession?.queue?.length ?? 0)
+      ? restoredSession.shuffleOrder
+      : createShuffleOrder(restoredSession?.queue?.length ?? 0, restoredSession?.currentIndex ?? 0)
+  ));
+  // Earlier cycles (newest last) and the cycle "previous" backed out of, which
+  // playNext resumes instead of shuffling a fresh one
+  const shuffleCyclesRef = useRef({ previous: [], next: null });
+  const [playbackRate, setPlaybackRate] = useState(
+    PLAYBACK_RATES.includes(restoredSession?.playbackRate) ? restoredSession.playbackRate : 1
+  );
+  const [preservePitch, setPreservePitch] = useState(restoredSession?.preservePitch ?? true);
   const [isPlayerMinimized, setIsPlayerMinimized] = useState(false);
+  const [eqSettings, setEqSettings] = useState(() => normalizeEqSettings(loadJSON(EQ_SETTINGS_KEY)));
+  const [userEqPresets, setUserEqPresets] = useState(() => loadJSON(EQ_PRESETS_KEY, []));
+  const [sleepTimer, setSleepTimer] = useState(null);
+  const [sleepRemaining, setSleepRemaining] = useState(null);
+  const [sleepFade, setSleepFade] = useState(1);
+  const [demoMode, setDemoMode] = useState(() => loadJSON(DEMO_MODE_KEY, false) === true);
+  // Where the loaded audio came from: 'preview', 'offline' or 'demo'
+  const [audioSource, setAudioSource] = useState(null);
+  const [dataSaver, setDataSaver] = useState(() => loadJSON(DATA_SAVER_KEY, false) === true);
+  const [implicitFeedback, setImplicitFeedback] = useState(() => loadJSON(IMPLICIT_FEEDBACK_KEY, true) !== false);
+  const [crossfade, setCrossfade] = useState(loadCrossfadeSettings);
+  const [normalization, setNormalization] = useState(loadNormalizationSettings);
+  // A-B loop points in seconds of the current track
+  const [abLoop, setAbLoop] = useState(EMPTY_LOOP);
   
+  // Two elements: audioRef is the active one, the other is on standby to buffer
+  // the next track. Playing a prefetched track swaps them.
   const audioRef = useRef(null);
-  const intervalRef = useRef(null);
+  const audioElementsRef = useRef([]);
+  const prefetchRef = useRef(null); // { key, isDemo, url, audio } buffered on standby
+  const fadingOutRef = useRef(null); // { audio, timerId } while the previous track fades out
+  const normalizationRef = useRef(normalization);
+  const transitionStartedRef = useRef(null); // loaded song the crossfade already left
   const audioContextRef = useRef(null);
+  const audioGraphRef = useRef(null);
+  const eqSettingsRef = useRef(eqSettings);
+  const objectUrlRef = useRef(null); // blob URL of the offline copy being played
+  const demoModeRef = useRef(demoMode);
+  const implicitFeedbackRef = useRef(implicitFeedback);
+  // Play requests: each one bumps the id, and a request that is no longer the
+  // latest stops touching the player after its next await
+  const playRequestRef = useRef(0);
+  const isRequestPendingRef = useRef(false);
+  const loadedSongRef = useRef(null); // song whose source is on the element
+  // Listeners are attached once, so they go through a ref to see current state
+  const handleSongEndRef = useRef(() => {});
+  // The play being recorded for the listening history, and the screen the queue
+  // was started from
+  const currentPlayRef = useRef(null);
+  const queueSourceRef = useRef(null);
+  const userIdRef = useRef(currentUser?.id);
+  userIdRef.current = currentUser?.id;
+  const screenRef = useRef(location.pathname);
+  screenRef.current = location.pathname;
   
-  // Initialize audio element and context
-  useEffect(() => {
-    if (!audioRef.current) {
-      audioRef.current = new Audio();
-      audioRef.current.preload = 'metadata';
-      audioRef.current.crossOrigin = 'anonymous';
+  const isPlaying = status === 'playing' || status === 'buffering';
+  
+  // Route the audio elements through the Web Audio effects chain. This can only
+  // happen once per element, and from then on all output goes through the graph.
+  // It is built lazily, the first time an effect or the visualizer needs it, and
+  // never while an element is loaded without CORS, which the graph would silence.
+  const ensureAudioGraph = useCallback(() => {
+    const elements = audioElementsRef.current;
+    if (audioGraphRef.current || elements.length === 0) {
+      return audioGraphRef.current;
+    }
+    if (elements.some(audio => audio.crossOrigin !== 'anonymous')) {
+      return null;
+    }
+    
+    try {
+      if (!audioContextRef.current) {
+        audioContextRef.current = new (window.AudioContext || window.webkitAudioContext)();
+      }
+      const audioContext = audioContextRef.current;
+      const sources = elements.map(audio => audioContext.createMediaElementSource(audio));
+      // Per element: a normalizer gain for the track's loudness, then the gain that
+      // mixes the two elements during a crossfade
+      const normalizers = elements.map(() => audioContext.createGain());
+      const gains = elements.map(() => audioContext.createGain());
+      const effects = createEffectsChain(audioContext);
+      const analyser = audioContext.createAnalyser();
+      analyser.fftSize = 2048;
+      analyser.smoothingTimeConstant = 0.8;
       
-      // Audio event listeners
-      audioRef.current.addEventListener('loadedmetadata', () => {
-        setDuration(audioRef.current.duration);
+      const limiter = createLimiter(audioContext);
+      
+      sources.forEach((source, index) => {
+        source.connect(normalizers[index]);
+        normalizers[index].connect(gains[index]);
+        gains[index].connect(effects.input);
       });
+      effects.output.connect(limiter.node);
+      limiter.node.connect(analyser);
+      analyser.connect(audioContext.destination);
+      effects.apply(eqSettingsRef.current);
+      limiter.setEnabled(normalizationRef.current.enabled);
       
-      audioRef.current.addEventListener('ended', handleSongEnd);
-      audioRef.current.addEventListener('error', handleAudioError);
+      audioGraphRef.current = { sources, normalizers, gains, effects, limiter, analyser };
+    } catch (error) {
+      console.error('Audio graph setup error:', error);
+    }
+    
+    return audioGraphRef.current;
+  }, []);
+  
+  // Set the gain mixing `audio` into the graph, cancelling any fade in progress
+  const setElementGain = useCallback((audio, value) => {
+    const graph = audioGraphRef.current;
+    if (!graph) return;
+    const gain = graph.gains[audioElementsRef.current.indexOf(audio)];
+    const now = audioContextRef.current.currentTime;
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setValueAtTime(value, now);
+  }, []);
+  
+  // Normalizer gain for `audio` given its track's loudness. Unmeasured tracks, and
+  // all tracks while normalization is off, play at unity gain.
+  const setNormalizerGain = useCallback((audio, lufs, { ramp = false } = {}) => {
+    const graph = audioGraphRef.current;
+    if (!graph) return;
+    const settings = normalizationRef.current;
+    const value = settings.enabled ? normalizationGain(lufs, settings.target) : 1;
+    const gain = graph.normalizers[audioElementsRef.current.indexOf(audio)].gain;
+    const now = audioContextRef.current.currentTime;
+    gain.cancelScheduledValues(now);
+    if (ramp) {
+      gain.setTargetAtTime(value, now, 0.3);
+    } else {
+      gain.setValueAtTime(value, now);
+    }
+  }, []);
+  
+  // End a crossfade early, or on schedule: unload the track that was fading out
+  const finishCrossfade = useCallback(() => {
+    const fading = fadingOutRef.current;
+    if (!fading) return;
+    clearTimeout(fading.timerId);
+    fadingOutRef.current = null;
+    unloadAudio(fading.audio);
+  }, []);
+  
+  // Initialize audio element and context
+  useEffect(() => {
+    if (!audioRef.current) {
+      const createAudioElement = () => {
+        const audio = new Audio();
+        audio.preload = 'metadata';
+        audio.crossOrigin = 'anonymous';
+        
+        // Only the active element reports to the player; the standby one loads silently
+        const whenActive = (handler) => (event) => {
+          if (audio === audioRef.current) handler(event);
+        };
+        
+        audio.addEventListener('loadedmetadata', whenActive(() => {
+          setDuration(audio.duration);
+        }));
+        
+        audio.addEventListener('ended', whenActive(() => handleSongEndRef.current()));
+        
+        // Once a play request has settled, the element drives the status
+        audio.addEventListener('playing', whenActive(() => {
+          if (!isRequestPendingRef.current) setStatus('playing');
+        }));
+        audio.addEventListener('waiting', whenActive(() => {
+          if (!isRequestPendingRef.current && !audio.paused) setStatus('buffering');
+        }));
+        audio.addEventListener('pause', whenActive(() => {
+          setCurrentTime(audio.currentTime);
+          if (!isRequestPendingRef.current && !audio.ended) setStatus('paused');
+        }));
+        audio.addEventListener('error', whenActive(() => {
+          // Errors while a request is loading are reported by the request itself
+          if (isRequestPendingRef.current) return;
+          console.error('Audio playback error:', audio.error);
+          toast.error('Failed to play audio');
+          setStatus('error');
+        }));
+        
+        // Add play event listener to ensure audio context is resumed
+        audio.addEventListener('play', () => {
+          if (eqSettingsRef.current.enabled || normalizationRef.current.enabled) {
+            ensureAudioGraph();
+          }
+          if (audioContextRef.current && audioContextRef.current.state === 'suspended') {
+            audioContextRef.current.resume();
+          }
+        });
+        
+        return audio;
+      };
       
-      // Add play event listener to ensure audio context is resumed
-      audioRef.current.addEventListener('play', () => {
-        if (audioContextRef.current && audioContextRef.current.state === 'suspended') {
-          audioContextRef.current.resume();
-        }
-      });
+      audioElementsRef.current = [createAudioElement(), createAudioElement()];
+      audioRef.current = audioElementsRef.current[0];
     }
     
     // Initialize audio context on first user interaction
@@ -118,490 +612,789 @@ const AudioPlayerProvider = ({ children }) => {
     document.addEventListener('touchstart', initAudioContext);
     
     return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-      }
       document.removeEventListener('click', initAudioContext);
       document.removeEventListener('touchstart', initAudioContext);
     };
   }, []);
   
-  // Update audio properties when they change
+  // Update audio properties when they change, on both elements so a swap keeps them
   useEffect(() => {
-    if (audioRef.current) {
-      audioRef.current.volume = isMuted ? 0 : volume;
+    audioElementsRef.current.forEach(audio => {
+      audio.volume = isMuted ? 0 : volume * sleepFade;
+    });
+  }, [volume, isMuted, sleepFade]);
+  
+  // defaultPlaybackRate carries the speed over when a new source is loaded
+  useEffect(() => {
+    audioElementsRef.current.forEach(audio => {
+      audio.defaultPlaybackRate = playbackRate;
+      audio.playbackRate = playbackRate;
+      audio.preservesPitch = preservePitch;
+      audio.mozPreservesPitch = preservePitch;
+      audio.webkitPreservesPitch = preservePitch;
+    });
+  }, [playbackRate, preservePitch]);
+  
+  // Apply and persist equalizer changes
+  useEffect(() => {
+    eqSettingsRef.current = eqSettings;
+    saveJSON(EQ_SETTINGS_KEY, eqSettings);
+    
+    const graph = eqSettings.enabled && isPlaying ? ensureAudioGraph() : audioGraphRef.current;
+    if (graph) {
+      graph.effects.apply(eqSettings);
     }
-  }, [volume, isMuted]);
+  }, [eqSettings, isPlaying, ensureAudioGraph]);
   
-  // Generate actual playable audio for demo purposes
-  const generateAudioUrl = useCallback((song) => {
-    return new Promise((resolve) => {
-      try {
-        // Use existing audio context or create new one
-        const audioContext = audioContextRef.current || new (window.AudioContext || window.webkitAudioContext)();
-        if (!audioContextRef.current) {
-          audioContextRef.current = audioContext;
-        }
-        const sampleRate = audioContext.sampleRate;
-        const duration = song.duration_ms / 1000; // Use actual song duration
-        const frames = sampleRate * duration;
-        const arrayBuffer = audioContext.createBuffer(2, frames, sampleRate);
-        
-        // Generate unique audio based on song properties
-        const songHash = song.name.length + song.artist.length + song.artist.charCodeAt(0);
-        const baseFreq = 200 + (songHash % 300); // Base frequency between 200-500 Hz
-        
-        // Create different patterns based on genre
-        const genre = song.genres[0] || 'pop';
-        let pattern = 'melody';
-        
-        if (genre.includes('electronic') || genre.includes('dance')) {
-          pattern = 'beat';
-        } else if (genre.includes('rock') || genre.includes('metal')) {
-          pattern = 'power';
-        } else if (genre.includes('jazz') || genre.includes('blues')) {
-          pattern = 'smooth';
-        } else if (genre.includes('classical')) {
-          pattern = 'orchestra';
-        }
-        
-        for (let channel = 0; channel < arrayBuffer.numberOfChannels; channel++) {
-          const nowBuffering = arrayBuffer.getChannelData(channel);
-          
-          for (let i = 0; i < frames; i++) {
-            const time = i / sampleRate;
-            let sample = 0;
-            
-            switch (pattern) {
-              case 'beat':
-                // Electronic beat pattern
-                sample = Math.sin(2 * Math.PI * baseFreq * time) * 0.3;
-                sample += Math.sin(2 * Math.PI * (baseFreq * 2) * time) * 0.1;
-                sample *= (Math.sin(time * 8) > 0 ? 1 : 0.1); // Beat effect
-                break;
-                
-              case 'power':
-                // Rock power chord simulation
-                sample = Math.sin(2 * Math.PI * baseFreq * time) * 0.4;
-                sample += Math.sin(2 * Math.PI * (baseFreq * 1.5) * time) * 0.2;
-                sample += Math.sin(2 * Math.PI * (baseFreq * 2) * time) * 0.1;
-                sample *= Math.exp(-((time % 2) * 2)); // Decay effect
-                break;
-                
-              case 'smooth':
-                // Smooth jazz-like tones
-                sample = Math.sin(2 * Math.PI * baseFreq * time) * 0.3;
-                sample += Math.sin(2 * Math.PI * (baseFreq * 1.25) * time) * 0.15;
-                sample *= (1 + Math.sin(time * 0.5) * 0.2); // Vibrato
-                break;
-                
-              case 'orchestra':
-                // Classical orchestral simulation
-                sample = Math.sin(2 * Math.PI * baseFreq * time) * 0.2;
-                sample += Math.sin(2 * Math.PI * (baseFreq * 1.33) * time) * 0.15;
-                sample += Math.sin(2 * Math.PI * (baseFreq * 1.5) * time) * 0.1;
-                sample += Math.sin(2 * Math.PI * (baseFreq * 2) * time) * 0.05;
-                break;
-                
-              default: // melody
-                // Pop melody simulation
-                const note = Math.floor((time * 2) % 8);
-                const noteFreq = baseFreq * Math.pow(2, note / 12);
-                sample = Math.sin(2 * Math.PI * noteFreq * time) * 0.3;
-                sample += Math.sin(2 * Math.PI * noteFreq * 2 * time) * 0.1;
-                break;
-            }
-            
-            // Apply envelope (fade in/out)
-            const envelope = Math.min(time * 4, 1) * Math.min((duration - time) * 4, 1);
-            sample *= envelope;
-            
-            // Add some stereo panning
-            if (channel === 0) {
-              sample *= 0.8; // Left channel
-            } else {
-              sample *= 1.2; // Right channel
-            }
-            
-            nowBuffering[i] = Math.max(-1, Math.min(1, sample)); // Clamp to [-1, 1]
-          }
-        }
-        
-        // Convert to WAV blob
-        const wavBuffer = audioBufferToWav(arrayBuffer);
-        const blob = new Blob([wavBuffer], { type: 'audio/wav' });
-        const url = URL.createObjectURL(blob);
-        resolve(url);
-        
-      } catch (error) {
-        console.error('Audio generation error:', error);
-        // Fallback: create a simple beep
-        resolve(createSimpleBeep(song));
+  useEffect(() => {
+    saveJSON(EQ_PRESETS_KEY, userEqPresets);
+  }, [userEqPresets]);
+  
+  useEffect(() => {
+    demoModeRef.current = demoMode;
+    saveJSON(DEMO_MODE_KEY, demoMode);
+  }, [demoMode]);
+  
+  useEffect(() => {
+    saveJSON(CROSSFADE_KEY, crossfade);
+  }, [crossfade]);
+  
+  useEffect(() => {
+    implicitFeedbackRef.current = implicitFeedback;
+    saveJSON(IMPLICIT_FEEDBACK_KEY, implicitFeedback);
+    if (!implicitFeedback) {
+      discardFeedback(userIdRef.current);
+    }
+  }, [implicitFeedback]);
+  
+  // Apply normalization settings, and measure the playing track once if it has no
+  // cached loudness yet (only cached values are used in data saver mode)
+  useEffect(() => {
+    normalizationRef.current = normalization;
+    saveJSON(NORMALIZATION_KEY, normalization);
+    
+    const graph = normalization.enabled && isPlaying ? ensureAudioGraph() : audioGraphRef.current;
+    if (!graph) return;
+    graph.limiter.setEnabled(normalization.enabled);
+    
+    const audio = audioRef.current;
+    const song = loadedSongRef.current;
+    if (!normalization.enabled || !song || !audio.currentSrc) {
+      audioElementsRef.current.forEach(element => setNormalizerGain(element, undefined, { ramp: true }));
+      return;
+    }
+    
+    let cancelled = false;
+    const options = { demo: audioSource === 'demo' };
+    const loudness = dataSaver ? getCachedLoudness(song, options) : measureTrackLoudness(song, audio.currentSrc, options);
+    loudness.then(lufs => {
+      if (!cancelled && audioRef.current === audio && loadedSongRef.current === song) {
+        setNormalizerGain(audio, lufs, { ramp: true });
       }
     });
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [normalization, isPlaying, dataSaver, currentSong, audioSource, ensureAudioGraph, setNormalizerGain]);
+  
+  useEffect(() => {
+    saveJSON(DATA_SAVER_KEY, dataSaver);
+    if (dataSaver && prefetchRef.current) {
+      unloadAudio(prefetchRef.current.audio);
+      prefetchRef.current = null;
+    }
+  }, [dataSaver]);
+  
+  // Persist the session; position is saved at whole-second granularity to limit writes
+  const sessionTime = Math.floor(currentTime);
+  useEffect(() => {
+    saveJSON(PLAYER_SESSION_KEY, {
+      version: PLAYER_SESSION_VERSION,
+      currentSong,
+      queue,
+      currentIndex,
+      currentTime: sessionTime,
+      duration,
+      volume,
+      isShuffled,
+      repeatMode,
+      shuffleOrder,
+      playbackRate,
+      preservePitch
+    });
+  }, [currentSong, queue, currentIndex, sessionTime, duration, volume, isShuffled, repeatMode, shuffleOrder, playbackRate, preservePitch]);
   
-  // Helper function to convert AudioBuffer to WAV
-  const audioBufferToWav = useCallback((buffer) => {
-    const length = buffer.length;
-    const numberOfChannels = buffer.numberOfChannels;
-    const sampleRate = buffer.sampleRate;
-    const arrayBuffer = new ArrayBuffer(44 + length * numberOfChannels * 2);
-    const view = new DataView(arrayBuffer);
+  // Progress tracking, only while the audio is actually advancing
+  useEffect(() => {
+    if (status !== 'playing') return;
     
-    // WAV header
-    const writeString = (offset, string) => {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
+    const timerId = setInterval(() => {
+      if (audioRef.current) {
+        setCurrentTime(audioRef.current.currentTime);
       }
+    }, 500);
+    return () => clearInterval(timerId);
+  }, [status]);
+  
+  const recordSignal = useCallback((type, song) => {
+    if (!implicitFeedbackRef.current || !song) return;
+    const userId = userIdRef.current;
+    recordFeedback(userId, type, song, feedbackSender(userId));
+  }, []);
+  
+  const startPlay = useCallback((song) => {
+    const screen = queueSourceRef.current ?? screenRef.current;
+    const songId = song.id || song.spotify_id;
+    currentPlayRef.current = {
+      song,
+      source: screen in HISTORY_SOURCES ? screen : null,
+      // Coming back to a song that was already played through
+      isReplay: getHistory(userIdRef.current).some(event => event.song_id === songId && event.completed),
+      startedAt: null,
+      resumedAt: null,
+      listened: 0,
+      progressed: 0,
+      duration: 0,
+      completed: false
     };
-    
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + length * numberOfChannels * 2, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    view.setUint16(22, numberOfChannels, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * numberOfChannels * 2, true);
-    view.setUint16(32, numberOfChannels * 2, true);
-    view.setUint16(34, 16, true);
-    writeString(36, 'data');
-    view.setUint32(40, length * numberOfChannels * 2, true);
-    
-    // Convert float samples to 16-bit PCM
-    let offset = 44;
-    for (let i = 0; i < length; i++) {
-      for (let channel = 0; channel < numberOfChannels; channel++) {
-        const sample = Math.max(-1, Math.min(1, buffer.getChannelData(channel)[i]));
-        view.setInt16(offset, sample * 0x7FFF, true);
-        offset += 2;
-      }
-    }
-    
-    return arrayBuffer;
   }, []);
   
-  // Fallback simple beep generator
-  const createSimpleBeep = useCallback((song) => {
-    try {
-      const audioContext = audioContextRef.current || new (window.AudioContext || window.webkitAudioContext)();
-      if (!audioContextRef.current) {
-        audioContextRef.current = audioContext;
-      }
-      
-      // Resume context if suspended
-      if (audioContext.state === 'suspended') {
-        audioContext.resume();
-      }
-      
-      const oscillator = audioContext.createOscillator();
-      const gainNode = audioContext.createGain();
-      
-      // Create unique frequency based on song
-      const songHash = song.name.length + song.artist.length;
-      const frequency = 220 + (songHash % 440);
-      
-      oscillator.connect(gainNode);
-      gainNode.connect(audioContext.destination);
-      
-      oscillator.frequency.value = frequency;
-      oscillator.type = 'sine';
-      
-      gainNode.gain.setValueAtTime(0, audioContext.currentTime);
-      gainNode.gain.linearRampToValueAtTime(0.2, audioContext.currentTime + 0.1);
-      gainNode.gain.linearRampToValueAtTime(0.2, audioContext.currentTime + 0.5);
-      gainNode.gain.linearRampToValueAtTime(0, audioContext.currentTime + 1);
-      
-      oscillator.start(audioContext.currentTime);
-      oscillator.stop(audioContext.currentTime + 1);
-      
-      return 'beep'; // Special identifier for beep mode
-    } catch (error) {
-      console.error('Beep generation error:', error);
-      return 'beep';
+  // Record the current play. Plays that never got going are dropped.
+  const finishPlay = useCallback(({ skipped = false } = {}) => {
+    const play = currentPlayRef.current;
+    currentPlayRef.current = null;
+    if (!play) return;
+    
+    accumulateListening(play, audioRef.current);
+    if (!play.startedAt) return;
+    
+    if (play.isReplay) {
+      recordSignal('replay', play.song);
     }
-  }, []);
+    if (play.completed) {
+      recordSignal('complete', play.song);
+    } else if (skipped && play.listened < SKIP_THRESHOLD_SECONDS) {
+      recordSignal('skip', play.song);
+    }
+    
+    const userId = userIdRef.current;
+    const completion = play.completed
+      ? 1
+      : play.duration > 0 ? Math.min(play.progressed / play.duration, 1) : 0;
+    addHistoryEvent(userId, {
+      id: `play-${play.startedAt}`,
+      song_id: play.song.id || play.song.spotify_id,
+      song: play.song,
+      started_at: new Date(play.startedAt).toISOString(),
+      seconds_listened: Math.round(play.listened),
+      completion: Math.round(completion * 100) / 100,
+      completed: play.completed,
+      skipped: !play.completed && skipped,
+      source: play.source
+    });
+    queryClient.invalidateQueries(['history', userId]);
+    syncListeningHistory(userId);
+  }, [queryClient, recordSignal]);
   
-  const handleSongEnd = useCallback(() => {
-    if (isRepeat) {
-      playSong(currentSong);
+  useEffect(() => {
+    const play = currentPlayRef.current;
+    if (!play) return;
+    
+    if (status === 'playing') {
+      startListening(play, audioRef.current);
     } else {
-      playNext();
+      accumulateListening(play, audioRef.current);
     }
-  }, [isRepeat, currentSong]);
+  }, [status]);
   
-  const handleAudioError = useCallback((error) => {
-    console.error('Audio playback error:', error);
-    toast.error('Failed to play audio');
-    setIsPlaying(false);
-  }, []);
+  // Keep what was listened to when the page goes away; whatever doesn't make it
+  // out in time is sent on the next visit
+  useEffect(() => {
+    const handlePageHide = () => {
+      finishPlay();
+      flushFeedback(userIdRef.current, feedbackSender(userIdRef.current)).catch(() => {});
+    };
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, [finishPlay]);
+  
+  useEffect(() => {
+    const userId = currentUser?.id;
+    syncListeningHistory(userId);
+    flushFeedback(userId, feedbackSender(userId)).catch(error => {
+      console.warn('Failed to send listening feedback:', error.message || error);
+    });
+  }, [currentUser?.id]);
+  
+  // Loop points belong to the track they were set on
+  const currentSongKey = currentSong ? getPreviewCacheKey(currentSong) : null;
+  useEffect(() => {
+    setAbLoop(EMPTY_LOOP);
+  }, [currentSongKey]);
+  
+  const isLoopActive = abLoop.a !== null && abLoop.b !== null && abLoop.b - abLoop.a >= MIN_LOOP_SECONDS;
   
-  const playSong = useCallback(async (song, songQueue = [], index = 0) => {
+  // Jump back to A once playback passes B. Checked more often than the progress
+  // tick so the loop stays tight.
+  useEffect(() => {
+    if (status !== 'playing' || !isLoopActive) return;
+    
+    const timerId = setInterval(() => {
+      const audio = audioRef.current;
+      if (audio && audio.currentTime >= abLoop.b) {
+        audio.currentTime = abLoop.a;
+        setCurrentTime(abLoop.a);
+      }
+    }, 50);
+    return () => clearInterval(timerId);
+  }, [status, isLoopActive, abLoop]);
+  
+  const playSong = useCallback(async (song, songQueue = [], index = 0, { startTime = 0, keepOrder = false, crossfade: fadeDuration = 0 } = {}) => {
     if (!song) return;
     
+    // A newer request (or a pause) supersedes this one
+    const requestId = ++playRequestRef.current;
+    const isStale = () => playRequestRef.current !== requestId;
+    isRequestPendingRef.current = true;
+    
+    // A crossfade only starts once the previous track is nearly over; anything
+    // else cuts it short. Next and previous plays keep the queue's source screen.
+    if (currentPlayRef.current && fadeDuration > 0) {
+      currentPlayRef.current.completed = true;
+    }
+    finishPlay({ skipped: true });
+    if (!keepOrder) {
+      queueSourceRef.current = screenRef.current;
+    }
+    startPlay(song);
+    
+    const nextQueue = songQueue.length > 0 ? songQueue : [song];
+    setCurrentSong(song);
+    setQueue(nextQueue);
+    setCurrentIndex(index);
+    if (!keepOrder) {
+      setShuffleOrder(createShuffleOrder(nextQueue.length, index));
+      shuffleCyclesRef.current = { previous: [], next: null };
+    }
+    setCurrentTime(startTime);
+    setStatus('resolving');
+    
+    // Crossfades mix the two elements through their gain nodes, so they need the graph
+    finishCrossfade();
+    const fadeSeconds = fadeDuration > 0 && ensureAudioGraph() ? fadeDuration : 0;
+    
+    // Otherwise stop the previous song right away rather than once the new one is found
+    if (audioRef.current && fadeSeconds === 0) {
+      audioRef.current.pause();
+    }
+    
     try {
-      setCurrentSong(song);
-      setQueue(songQueue.length > 0 ? songQueue : [song]);
-      setCurrentIndex(index);
-      setIsPlaying(false); // Set to false initially
+      // Demo mode synthesizes a clip; otherwise prefer the offline copy when downloaded
+      const isDemo = demoModeRef.current;
+      const offlineBlob = isDemo ? null : await getDownloadBlob(song);
+      if (isStale()) return;
       
-      let audioUrl = song.preview_url;
+      // The standby element may already have this track buffered
+      const prefetched = prefetchRef.current;
+      const usePrefetched = !offlineBlob && prefetched &&
+        prefetched.key === getPreviewCacheKey(song) && prefetched.isDemo === isDemo;
+      prefetchRef.current = null;
       
-      // If Spotify doesn't have preview, try iTunes API
-      if (!audioUrl) {
-        console.log(`🔍 Searching iTunes for: ${song.name} by ${song.artist}`);
-        toast.info(`Searching for preview of "${song.name}"...`);
-        
-        try {
-          // Search iTunes for the song
-          const searchTerm = encodeURIComponent(`${song.name} ${song.artist}`);
-          const itunesUrl = `https://itunes.apple.com/search?term=${searchTerm}&media=music&entity=song&limit=1`;
-          console.log(`📡 iTunes API URL: ${itunesUrl}`);
-          
-          const response = await axios.get(itunesUrl);
-          console.log(`✅ iTunes API response:`, response.data);
-          
-          if (response.data.results && response.data.results.length > 0) {
-            const itunesTrack = response.data.results[0];
-            const itunesPreviewUrl = itunesTrack.previewUrl;
-            
-            console.log(`🎵 Found iTunes preview URL: ${itunesPreviewUrl}`);
-            
-            if (itunesPreviewUrl) {
-              // Use backend proxy to avoid CORS issues
-              audioUrl = `${API}/audio/proxy?url=${encodeURIComponent(itunesPreviewUrl)}`;
-              console.log(`🔄 Using proxy URL: ${audioUrl}`);
-              toast.success(`Found preview from iTunes!`);
-            }
-          } else {
-            console.log(`❌ No iTunes results found`);
-          }
-          
-          if (!audioUrl) {
-            toast.error(`No preview available for "${song.name}". Try opening in Spotify to listen.`, {
-              duration: 4000
-            });
-            setIsPlaying(false);
-            return;
-          }
-        } catch (itunesError) {
-          console.error('❌ iTunes search error:', itunesError);
-          toast.error(`Preview not available for "${song.name}".`);
-          setIsPlaying(false);
+      let audioUrl;
+      if (usePrefetched) {
+        audioUrl = prefetched.url;
+      } else if (isDemo) {
+        audioUrl = generateAudioUrl(song);
+      } else if (offlineBlob) {
+        audioUrl = URL.createObjectURL(offlineBlob);
+      } else {
+        const preview = await resolvePreview(song);
+        if (isStale()) return;
+        if (!preview) {
+          toast.error(`No preview available for "${song.name}". Try opening in Spotify to listen.`, {
+            duration: 4000
+          });
+          setStatus('error');
           return;
         }
-      } else {
-        console.log(`✅ Using Spotify preview URL: ${audioUrl}`);
+        
+        audioUrl = preview.url;
+        if (!preview.cached && preview.providerId !== 'spotify') {
+          toast.success(`Found preview from ${getPreviewProviderName(preview.providerId)}!`);
+        }
       }
       
-      if (audioRef.current && audioUrl) {
+      if (!audioRef.current) return;
+      
+      // Use the standby element when it has the track buffered, or when the previous
+      // track has to keep playing during a crossfade; the other element becomes standby
+      const previous = audioRef.current;
+      const standby = audioElementsRef.current.find(element => element !== previous);
+      const audio = usePrefetched ? prefetched.audio : fadeSeconds > 0 ? standby : previous;
+      
+      if (!usePrefetched) {
         console.log(`🎧 Attempting to load audio from: ${audioUrl}`);
-        
-        // Stop any current playback
-        audioRef.current.pause();
-        audioRef.current.currentTime = 0;
-        
         // Set crossOrigin to anonymous to handle CORS
-        audioRef.current.crossOrigin = "anonymous";
-        audioRef.current.src = audioUrl;
-        
-        // Add error listener before loading
-        audioRef.current.onerror = (e) => {
-          console.error('❌ Audio load error:', e);
-          console.error('❌ Audio element error details:', {
-            error: audioRef.current.error,
-            networkState: audioRef.current.networkState,
-            readyState: audioRef.current.readyState
-          });
-          toast.error(`Failed to load audio preview. The track may not be available for streaming.`);
-          setIsPlaying(false);
-        };
-        
-        // Wait for audio to load
-        await new Promise((resolve, reject) => {
-          const handleLoad = () => {
-            audioRef.current.removeEventListener('canplay', handleLoad);
-            audioRef.current.removeEventListener('error', handleError);
-            resolve();
-          };
-          
-          const handleError = (error) => {
-            audioRef.current.removeEventListener('canplay', handleLoad);
-            audioRef.current.removeEventListener('error', handleError);
-            reject(error);
-          };
-          
-          audioRef.current.addEventListener('canplay', handleLoad);
-          audioRef.current.addEventListener('error', handleError);
-          
-          audioRef.current.load();
+        audio.crossOrigin = 'anonymous';
+        audio.src = audioUrl;
+      }
+      if (audio !== previous) {
+        audioRef.current = audio;
+      }
+      audioElementsRef.current.filter(element => element !== audio).forEach(element => {
+        if (element === previous && fadeSeconds > 0) {
+          fadingOutRef.current = { audio: element, timerId: null };
+        } else {
+          // Whatever it holds is for another song now
+          unloadAudio(element);
+        }
+      });
+      setElementGain(audio, fadeSeconds > 0 ? 0 : 1);
+      setStatus('loading');
+      loadedSongRef.current = song;
+      
+      // Release the previous offline copy now that the element no longer uses it
+      if (objectUrlRef.current) {
+        URL.revokeObjectURL(objectUrlRef.current);
+      }
+      objectUrlRef.current = offlineBlob ? audioUrl : null;
+      setAudioSource(isDemo ? 'demo' : offlineBlob ? 'offline' : 'preview');
+      
+      try {
+        await waitForCanPlay(audio);
+      } catch (loadError) {
+        if (isStale()) return;
+        console.error('❌ Audio load error:', loadError, {
+          networkState: audio.networkState,
+          readyState: audio.readyState
         });
-        
-        try {
-          // Play the audio
-          await audioRef.current.play();
-          setIsPlaying(true);
-          setDuration(audioRef.current.duration || song.duration_ms / 1000);
-          
-          // Start progress tracking
-          if (intervalRef.current) {
-            clearInterval(intervalRef.current);
-          }
-          intervalRef.current = setInterval(() => {
-            if (audioRef.current && !audioRef.current.paused) {
-              setCurrentTime(audioRef.current.currentTime);
-            }
-          }, 500); // Update more frequently for smoother progress
-          
-          toast.success(`🎵 Now playing: ${song.name} by ${song.artist}`);
-        } catch (playError) {
-          console.error('Play error:', playError);
-          // Try without crossOrigin if it fails
-          audioRef.current.crossOrigin = null;
-          audioRef.current.src = audioUrl;
-          audioRef.current.load();
-          
-          try {
-            await audioRef.current.play();
-            setIsPlaying(true);
-            setDuration(audioRef.current.duration || song.duration_ms / 1000);
-            
-            // Start progress tracking
-            if (intervalRef.current) {
-              clearInterval(intervalRef.current);
-            }
-            intervalRef.current = setInterval(() => {
-              if (audioRef.current && !audioRef.current.paused) {
-                setCurrentTime(audioRef.current.currentTime);
-              }
-            }, 500);
-            
-            toast.success(`🎵 Now playing: ${song.name} by ${song.artist}`);
-          } catch (retryError) {
-            throw retryError;
-          }
+        toast.error(`Failed to load audio preview. The track may not be available for streaming.`);
+        setStatus('error');
+        finishCrossfade();
+        loadedSongRef.current = null;
+        // The cached URL may have gone stale; look it up again next time
+        if (!isDemo && !offlineBlob) {
+          invalidatePreview(song);
         }
+        return;
       }
+      if (isStale()) return;
       
-    } catch (error) {
-      console.error('Play error:', error);
-      toast.error(`Failed to play "${song.name}". ${error.message || 'Unknown error'}`);
-      setIsPlaying(false);
-    }
-  }, [handleSongEnd]);
+      // Continue from a restored position
+      if (startTime > 0 || audio.currentTime > 0) {
+        audio.currentTime = startTime;
+      }
+      
+      // Start at the normalized level when the track's loudness is already known
+      if (normalizationRef.current.enabled && ensureAudioGraph()) {
+        const lufs = await getCachedLoudness(song, { demo: isDemo });
+        if (isStale()) return;
+        setNormalizerGain(audio, lufs);
+      }
+      
+      try {
+        await audio.play();
+      } catch (playError) {
+        if (isStale()) return;
+        console.error('Play error:', playError);
+        // Try without crossOrigin if it fails. Not once the element feeds the Web
+        // Audio graph though: a non-CORS source would be muted there.
+        if (!audioGraphRef.current) {
+          audio.crossOrigin = null;
+        }
+        audio.src = audioUrl;
+        await waitForCanPlay(audio);
+        if (isStale()) return;
+        if (startTime > 0) {
+          audio.currentTime = startTime;
+        }
+        await audio.play();
+      }
+      if (isStale()) return;
+      
+      const fading = fadingOutRef.current;
+      if (fading) {
+        const gains = audioGraphRef.current.gains;
+        const elements = audioElementsRef.current;
+        const now = audioContextRef.current.currentTime;
+        const fadeIn = gains[elements.indexOf(audio)].gain;
+        const fadeOut = gains[elements.indexOf(fading.audio)].gain;
+        fadeIn.cancelScheduledValues(now);
+        fadeIn.setValueCurveAtTime(createFadeCurve(true), now, fadeSeconds);
+        fadeOut.cancelScheduledValues(now);
+        fadeOut.setValueCurveAtTime(createFadeCurve(false), now, fadeSeconds);
+        fading.timerId = setTimeout(finishCrossfade, fadeSeconds * 1000);
+      }
+      
+      setStatus('playing');
+      // Status may already read 'playing' from the previous track
+      if (currentPlayRef.current) {
+        startListening(currentPlayRef.current, audio);
+      }
+      setDuration(audio.duration || (isDemo ? DEMO_CLIP_SECONDS : song.duration_ms / 1000));
+      toast.success(`🎵 Now playing${isDemo ? ' (demo audio)' : ''}: ${song.name} by ${song.artist}`);
+    } catch (error) {
+      if (isStale()) return;
+      console.error('Play error:', error);
+      toast.error(`Failed to play "${song.name}". ${error.message || 'Unknown error'}`);
+      setStatus('error');
+      finishCrossfade();
+    } finally {
+      if (!isStale()) {
+        isRequestPendingRef.current = false;
+      }
+    }
+  }, [ensureAudioGraph, setElementGain, setNormalizerGain, finishCrossfade, finishPlay, startPlay]);
   
+  // Pausing also cancels a play request that is still resolving or loading
   const pauseSong = useCallback(() => {
+    playRequestRef.current += 1;
+    isRequestPendingRef.current = false;
+    finishCrossfade();
     if (audioRef.current) {
       audioRef.current.pause();
     }
-    setIsPlaying(false);
-    if (intervalRef.current) {
-      clearInterval(intervalRef.current);
-    }
-  }, []);
+    setStatus('paused');
+  }, [finishCrossfade]);
   
   const resumeSong = useCallback(async () => {
-    if (currentSong) {
-      try {
-        // Try to resume actual audio
-        if (audioRef.current && audioRef.current.src) {
-          await audioRef.current.play();
-          setIsPlaying(true);
-          
-          // Resume progress tracking
-          if (intervalRef.current) {
-            clearInterval(intervalRef.current);
-          }
-          intervalRef.current = setInterval(() => {
-            if (audioRef.current && !audioRef.current.paused) {
-              setCurrentTime(audioRef.current.currentTime);
-            }
-          }, 500);
-          
-          toast.success('▶️ Resumed playback');
-        } else {
-          // Fallback: simulate resume
-          setIsPlaying(true);
-          if (intervalRef.current) {
-            clearInterval(intervalRef.current);
-          }
-          intervalRef.current = setInterval(() => {
-            setCurrentTime(prev => {
-              const newTime = prev + 1;
-              if (newTime >= duration) {
-                handleSongEnd();
-                return 0;
-              }
-              return newTime;
-            });
-          }, 1000);
-          
-          toast.success('▶️ Resumed playback (Demo mode)');
-        }
-      } catch (error) {
-        console.error('Resume error:', error);
-        // Always fallback to simulation
-        setIsPlaying(true);
-        if (intervalRef.current) {
-          clearInterval(intervalRef.current);
-        }
-        intervalRef.current = setInterval(() => {
-          setCurrentTime(prev => {
-            const newTime = prev + 1;
-            if (newTime >= duration) {
-              handleSongEnd();
-              return 0;
-            }
-            return newTime;
-          });
-        }, 1000);
-        
-        toast.success('▶️ Resumed playback (Demo mode)');
-      }
+    if (!currentSong) return;
+    
+    // Nothing loaded for this song yet, e.g. a restored session or a cancelled
+    // request: load it and continue where we left off
+    if (loadedSongRef.current !== currentSong || !audioRef.current) {
+      await playSong(currentSong, queue, currentIndex, { startTime: currentTime, keepOrder: true });
+      return;
+    }
+    
+    try {
+      await audioRef.current.play();
+      setStatus('playing');
+      toast.success('▶️ Resumed playback');
+    } catch (error) {
+      console.error('Resume error:', error);
+      toast.error(`Failed to resume "${currentSong.name}". ${error.message || 'Unknown error'}`);
+      setStatus('error');
     }
-  }, [currentSong, duration, handleSongEnd]);
+  }, [currentSong, playSong, queue, currentIndex, currentTime]);
   
   const togglePlayPause = useCallback(() => {
-    if (isPlaying) {
+    if (isPlaying || LOADING_STATUSES.includes(status)) {
       pauseSong();
     } else if (currentSong) {
       resumeSong();
     }
-  }, [isPlaying, currentSong, pauseSong, resumeSong]);
+  }, [isPlaying, status, currentSong, pauseSong, resumeSong]);
   
-  const playNext = useCallback(() => {
+  // Position-aware shuffle order, falling back to a fresh cycle if it drifted out of sync
+  const getShuffleOrder = useCallback(() => (
+    isValidShuffleOrder(shuffleOrder, queue.length) && shuffleOrder.includes(currentIndex)
+      ? shuffleOrder
+      : createShuffleOrder(queue.length, currentIndex)
+  ), [shuffleOrder, queue.length, currentIndex]);
+  
+  // Queue indices playNext would visit next, without changing any state
+  const getUpcomingIndices = useCallback((count) => {
+    if (queue.length <= 1) return [];
+    if (isShuffled) {
+      const order = getShuffleOrder();
+      const position = order.indexOf(currentIndex);
+      return order.slice(position + 1, position + 1 + count);
+    }
+    return Array.from(
+      { length: Math.min(count, queue.length - 1) },
+      (_, i) => (currentIndex + 1 + i) % queue.length
+    );
+  }, [queue.length, isShuffled, getShuffleOrder, currentIndex]);
+  
+  // Next track in play order; also how a finished track moves on, so a one-song
+  // queue on repeat all starts over
+  const advanceQueue = useCallback(() => {
     if (queue.length === 0) return;
     
     let nextIndex;
     if (isShuffled) {
-      nextIndex = Math.floor(Math.random() * queue.length);
+      let order = getShuffleOrder();
+      const position = order.indexOf(currentIndex);
+      if (position < order.length - 1) {
+        nextIndex = order[position + 1];
+      } else {
+        // Every track played once; start a new cycle
+        const cycles = shuffleCyclesRef.current;
+        cycles.previous = [...cycles.previous, order].slice(-MAX_SHUFFLE_CYCLES);
+        order = isValidShuffleOrder(cycles.next, queue.length)
+          ? cycles.next
+          : createNextCycle(queue.length, currentIndex);
+        cycles.next = null;
+        nextIndex = order[0];
+      }
+      setShuffleOrder(order);
     } else {
       nextIndex = (currentIndex + 1) % queue.length;
     }
     
     const nextSong = queue[nextIndex];
     if (nextSong) {
-      playSong(nextSong, queue, nextIndex);
+      playSong(nextSong, queue, nextIndex, { keepOrder: true });
     }
-  }, [queue, currentIndex, isShuffled, playSong]);
+  }, [queue, currentIndex, isShuffled, getShuffleOrder, playSong]);
+  
+  // Skipping needs somewhere to go, like the disabled next/previous buttons
+  const playNext = useCallback(() => {
+    if (queue.length <= 1) return;
+    advanceQueue();
+  }, [queue.length, advanceQueue]);
   
   const playPrevious = useCallback(() => {
-    if (queue.length === 0) return;
+    if (queue.length <= 1) return;
     
     let prevIndex;
     if (isShuffled) {
-      prevIndex = Math.floor(Math.random() * queue.length);
+      // Walk back through what was actually played, into the last cycle if needed
+      let order = getShuffleOrder();
+      const position = order.indexOf(currentIndex);
+      const cycles = shuffleCyclesRef.current;
+      const previousCycle = cycles.previous[cycles.previous.length - 1];
+      if (position > 0) {
+        prevIndex = order[position - 1];
+      } else if (isValidShuffleOrder(previousCycle, queue.length)) {
+        cycles.previous = cycles.previous.slice(0, -1);
+        cycles.next = order;
+        order = previousCycle;
+        prevIndex = order[order.length - 1];
+      } else {
+        prevIndex = currentIndex;
+      }
+      setShuffleOrder(order);
     } else {
       prevIndex = currentIndex - 1 < 0 ? queue.length - 1 : currentIndex - 1;
     }
     
     const prevSong = queue[prevIndex];
     if (prevSong) {
-      playSong(prevSong, queue, prevIndex);
+      playSong(prevSong, queue, prevIndex, { keepOrder: true });
+    }
+  }, [queue, currentIndex, isShuffled, getShuffleOrder, playSong]);
+  
+  // Queue indices in the order this cycle plays them
+  const playOrder = isShuffled ? getShuffleOrder() : queue.map((_, i) => i);
+  
+  const isLastInQueue = isShuffled
+    ? getShuffleOrder().indexOf(currentIndex) === queue.length - 1
+    : currentIndex >= queue.length - 1;
+  
+  const handleSongEnd = useCallback(() => {
+    // B was set at the very end of the track
+    if (isLoopActive) {
+      if (audioRef.current && audioRef.current.src) {
+        audioRef.current.currentTime = abLoop.a;
+        audioRef.current.play().catch(error => console.error('Loop error:', error));
+      }
+      setCurrentTime(abLoop.a);
+      return;
+    }
+    
+    if (currentPlayRef.current) {
+      currentPlayRef.current.completed = true;
+    }
+    
+    // Sleep timers bound to the track or queue end win over repeat modes
+    if (sleepTimer?.id === 'track' || (sleepTimer?.id === 'queue' && isLastInQueue)) {
+      finishPlay();
+      pauseSong();
+      setSleepTimer(null);
+      toast.success('😴 Sleep timer ended playback');
+      return;
+    }
+    
+    if (repeatMode === 'one') {
+      // Each repeat is a play of its own
+      finishPlay();
+      startPlay(currentSong);
+      startListening(currentPlayRef.current, audioRef.current);
+      if (audioRef.current && audioRef.current.src) {
+        audioRef.current.currentTime = 0;
+        audioRef.current.play().catch(error => console.error('Repeat error:', error));
+      }
+      setCurrentTime(0);
+      return;
+    }
+    
+    if (repeatMode === 'off' && isLastInQueue) {
+      // End of a non-repeating queue: stop on the last track, rewound
+      finishPlay();
+      if (audioRef.current) {
+        audioRef.current.pause();
+        audioRef.current.currentTime = 0;
+      }
+      setStatus('paused');
+      setCurrentTime(0);
+      return;
+    }
+    
+    advanceQueue();
+  }, [sleepTimer, isLastInQueue, isLoopActive, abLoop, repeatMode, currentSong, pauseSong, advanceQueue, finishPlay, startPlay]);
+  
+  useEffect(() => {
+    handleSongEndRef.current = handleSongEnd;
+  }, [handleSongEnd]);
+  
+  // Resolve the next tracks while this one plays, and buffer the first on standby.
+  // Waits out a crossfade too, since the fading track is still on the standby element.
+  useEffect(() => {
+    if (status !== 'playing' || dataSaver) return;
+    
+    let cancelled = false;
+    const timerId = setTimeout(async () => {
+      if (fadingOutRef.current) return;
+
+      const songs = getUpcomingIndices(PREFETCH_COUNT).map(index => queue[index]).filter(Boolean);
+      const isDemo = demoModeRef.current;
+      
+      for (const [position, song] of songs.entries()) {
+        // Downloaded songs are local already
+        const isDownloaded = !isDemo && !!(await getDownloadBlob(song));
+        if (cancelled) return;
+        if (isDownloaded) continue;
+        
+        const url = isDemo ? generateAudioUrl(song) : (await resolvePreview(song))?.url;
+        if (cancelled) return;
+        if (!url || position > 0) continue;
+        
+        if (normalizationRef.current.enabled) {
+          measureTrackLoudness(song, url, { demo: isDemo });
+        }
+        
+        const key = getPreviewCacheKey(song);
+        if (prefetchRef.current?.key === key && prefetchRef.current.isDemo === isDemo) continue;
+        
+        const standby = audioElementsRef.current.find(audio => audio !== audioRef.current);
+        if (!standby || fadingOutRef.current) continue;
+        standby.crossOrigin = 'anonymous';
+        standby.preload = 'auto';
+        standby.src = url;
+        prefetchRef.current = { key, isDemo, url, audio: standby };
+      }
+    }, PREFETCH_DELAY_MS + crossfade.seconds * 1000);
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(timerId);
+    };
+  }, [status, dataSaver, crossfade.seconds, getUpcomingIndices, queue]);
+  
+  // Start the next track early so the two overlap. A crossfade takes the time left
+  // in the track, at most the configured length and a third of the track.
+  useEffect(() => {
+    if (status !== 'playing' || crossfade.seconds === 0 || isLoopActive) return;
+    
+    const audio = audioRef.current;
+    if (!audio || !isFinite(audio.duration) || transitionStartedRef.current === loadedSongRef.current) return;
+    
+    const remaining = (audio.duration - audio.currentTime) / audio.playbackRate;
+    if (remaining > Math.min(crossfade.seconds, audio.duration / 3)) return;
+    
+    // Same rules as handleSongEnd: these repeat or stop rather than advance
+    if (
+      repeatMode === 'one' ||
+      sleepTimer?.id === 'track' ||
+      (isLastInQueue && (repeatMode === 'off' || sleepTimer?.id === 'queue'))
+    ) return;
+    
+    const [nextIndex] = getUpcomingIndices(1);
+    const nextSong = queue[nextIndex];
+    if (!nextSong) return;
+    
+    transitionStartedRef.current = loadedSongRef.current;
+    // Tracks from the same album flow into each other as recorded
+    if (crossfade.smart && isSameAlbum(currentSong, nextSong)) return;
+    
+    playSong(nextSong, queue, nextIndex, { keepOrder: true, crossfade: remaining });
+  }, [currentTime, status, crossfade, isLoopActive, repeatMode, sleepTimer, isLastInQueue, getUpcomingIndices, queue, currentSong, playSong]);
+  
+  const updateCrossfade = useCallback((changes) => {
+    setCrossfade(prev => ({ ...prev, ...changes }));
+  }, []);
+  
+  const updateNormalization = useCallback((changes) => {
+    setNormalization(prev => ({ ...prev, ...changes }));
+  }, []);
+  
+  // Set loop point 'a' or 'b', at the current position unless `time` is given.
+  // Points are kept in order, so a B before A swaps them.
+  const setLoopPoint = useCallback((point, time) => {
+    const position = time ?? audioRef.current?.currentTime ?? 0;
+    setAbLoop(prev => {
+      const next = { ...prev, [point]: position };
+      if (next.a !== null && next.b !== null && next.a > next.b) {
+        return { a: next.b, b: next.a };
+      }
+      return next;
+    });
+  }, []);
+  
+  const clearLoop = useCallback(() => {
+    setAbLoop(EMPTY_LOOP);
+  }, []);
+  
+  const startSleepTimer = useCallback((optionId) => {
+    const option = SLEEP_TIMER_OPTIONS.find(o => o.id === optionId);
+    if (!option) return;
+    
+    setSleepTimer({
+      id: option.id,
+      label: option.label,
+      endsAt: option.minutes ? Date.now() + option.minutes * 60 * 1000 : null
+    });
+    toast.success(`Sleep timer set: ${option.label.toLowerCase()}`);
+  }, []);
+  
+  const cancelSleepTimer = useCallback(() => {
+    setSleepTimer(null);
+    toast.success('Sleep timer cancelled');
+  }, []);
+  
+  // Sleep timer countdown and fade-out. Lives in the provider, so it keeps
+  // running across route changes.
+  const isLastInQueueRef = useRef(isLastInQueue);
+  isLastInQueueRef.current = isLastInQueue;
+  
+  useEffect(() => {
+    if (!sleepTimer) {
+      setSleepRemaining(null);
+      setSleepFade(1);
+      return;
     }
-  }, [queue, currentIndex, isShuffled, playSong]);
+    
+    const tick = () => {
+      const audio = audioRef.current;
+      // Wall-clock seconds left in the track at the current speed
+      const trackRemaining = audio && isFinite(audio.duration) && audio.src
+        ? Math.max(audio.duration - audio.currentTime, 0) / audio.playbackRate
+        : null;
+      
+      let remaining = null;
+      if (sleepTimer.endsAt) {
+        remaining = Math.max((sleepTimer.endsAt - Date.now()) / 1000, 0);
+      } else if (sleepTimer.id === 'track' || isLastInQueueRef.current) {
+        remaining = trackRemaining;
+      }
+      
+      setSleepRemaining(remaining);
+      setSleepFade(remaining !== null && remaining < SLEEP_FADE_SECONDS ? remaining / SLEEP_FADE_SECONDS : 1);
+      
+      // Track and queue timers finish in handleSongEnd
+      if (sleepTimer.endsAt && remaining <= 0) {
+        pauseSong();
+        setSleepTimer(null);
+        toast.success('😴 Sleep timer ended playback');
+      }
+    };
+    
+    tick();
+    const timerId = setInterval(tick, 500);
+    return () => clearInterval(timerId);
+  }, [sleepTimer, pauseSong]);
   
   const seekTo = useCallback((time) => {
     if (audioRef.current) {
@@ -615,27 +1408,257 @@ const AudioPlayerProvider = ({ children }) => {
   }, []);
   
   const toggleShuffle = useCallback(() => {
+    // Turning shuffle on starts a fresh cycle from the current track; turning it
+    // off simply continues in queue order from currentIndex
+    if (!isShuffled) {
+      setShuffleOrder(createShuffleOrder(queue.length, currentIndex));
+      shuffleCyclesRef.current = { previous: [], next: null };
+    }
     setIsShuffled(prev => !prev);
     toast.success(`Shuffle ${!isShuffled ? 'enabled' : 'disabled'}`);
-  }, [isShuffled]);
+  }, [isShuffled, queue.length, currentIndex]);
   
   const toggleRepeat = useCallback(() => {
-    setIsRepeat(prev => !prev);
-    toast.success(`Repeat ${!isRepeat ? 'enabled' : 'disabled'}`);
-  }, [isRepeat]);
+    const nextMode = REPEAT_MODES[(REPEAT_MODES.indexOf(repeatMode) + 1) % REPEAT_MODES.length];
+    setRepeatMode(nextMode);
+    toast.success(REPEAT_LABELS[nextMode]);
+  }, [repeatMode]);
   
+  // The shuffle order always holds one entry per queue item, so new indices are
+  // worked out from the previous order itself; back-to-back adds before a
+  // re-render then still line up with the queue
   const addToQueue = useCallback((songs) => {
     const songsArray = Array.isArray(songs) ? songs : [songs];
     setQueue(prev => [...prev, ...songsArray]);
+    setShuffleOrder(prev => appendToShuffleOrder(
+      prev,
+      currentIndex,
+      songsArray.map((_, i) => prev.length + i)
+    ));
+    songsArray.forEach(song => recordSignal('queue', song));
     toast.success(`Added ${songsArray.length} song(s) to queue`);
-  }, []);
+  }, [currentIndex, recordSignal]);
+  
+  const insertNext = useCallback((songs) => {
+    const songsArray = Array.isArray(songs) ? songs : [songs];
+    
+    // Nothing is playing, so there is no "next"; just start them
+    if (queue.length === 0) {
+      playSong(songsArray[0], songsArray, 0);
+      songsArray.forEach(song => recordSignal('queue', song));
+      return;
+    }
+    
+    setQueue(prev => [
+      ...prev.slice(0, currentIndex + 1),
+      ...songsArray,
+      ...prev.slice(currentIndex + 1)
+    ]);
+    setShuffleOrder(prev => placeAfterCurrent(
+      remapShuffleOrder(prev, i => (i > currentIndex ? i + songsArray.length : i)),
+      currentIndex,
+      songsArray.map((_, i) => currentIndex + 1 + i)
+    ));
+    songsArray.forEach(song => recordSignal('queue', song));
+    toast.success(`${songsArray.length} song(s) will play next`);
+  }, [queue.length, currentIndex, playSong, recordSignal]);
+  
+  // Earlier cycles follow queue edits the same way the current order does
+  const remapShuffleCycles = (mapIndex) => {
+    const cycles = shuffleCyclesRef.current;
+    cycles.previous = cycles.previous.map(order => remapShuffleOrder(order, mapIndex));
+    cycles.next = cycles.next && remapShuffleOrder(cycles.next, mapIndex);
+  };
+  
+  const removeFromQueue = useCallback((index) => {
+    // The playing track stays put; skip away from it first
+    if (index === currentIndex) return;
+    
+    const mapIndex = (i) => {
+      if (i === index) return null;
+      return i > index ? i - 1 : i;
+    };
+    setQueue(prev => prev.filter((_, i) => i !== index));
+    setShuffleOrder(prev => remapShuffleOrder(prev, mapIndex));
+    remapShuffleCycles(mapIndex);
+    if (index < currentIndex) {
+      setCurrentIndex(prev => prev - 1);
+    }
+  }, [currentIndex]);
+  
+  const moveQueueItem = useCallback((fromIndex, toIndex) => {
+    if (fromIndex === toIndex) return;
+    
+    setQueue(prev => {
+      const next = [...prev];
+      const [moved] = next.splice(fromIndex, 1);
+      next.splice(toIndex, 0, moved);
+      return next;
+    });
+    
+    // Same move expressed as an index mapping
+    const mapIndex = (i) => {
+      if (i === fromIndex) return toIndex;
+      if (fromIndex < toIndex && i > fromIndex && i <= toIndex) return i - 1;
+      if (fromIndex > toIndex && i >= toIndex && i < fromIndex) return i + 1;
+      return i;
+    };
+    setShuffleOrder(prev => remapShuffleOrder(prev, mapIndex));
+    remapShuffleCycles(mapIndex);
+    
+    // Keep currentIndex pointing at the same track
+    setCurrentIndex(mapIndex(currentIndex));
+  }, [currentIndex]);
+  
+  const playFromQueue = useCallback((index) => {
+    const song = queue[index];
+    if (song) {
+      // Jumping ahead keeps the shuffle history intact: the chosen track becomes the next step
+      setShuffleOrder(placeAfterCurrent(getShuffleOrder(), currentIndex, [index]));
+      playSong(song, queue, index, { keepOrder: true });
+    }
+  }, [queue, currentIndex, getShuffleOrder, playSong]);
   
   const clearQueue = useCallback(() => {
     setQueue([]);
+    setShuffleOrder([]);
+    shuffleCyclesRef.current = { previous: [], next: null };
     setCurrentIndex(0);
     toast.success('Queue cleared');
   }, []);
   
+  const getAnalyser = useCallback(() => (
+    ensureAudioGraph()?.analyser ?? null
+  ), [ensureAudioGraph]);
+  
+  const updateEqSettings = useCallback((changes) => {
+    setEqSettings(prev => normalizeEqSettings({ ...prev, ...changes }));
+  }, []);
+  
+  const applyEqPreset = useCallback((preset) => {
+    setEqSettings(prev => normalizeEqSettings({
+      ...prev,
+      enabled: true,
+      presetId: preset.id,
+      bands: preset.bands,
+      bassBoost: preset.bassBoost,
+      stereoWidth: preset.stereoWidth
+    }));
+  }, []);
+  
+  const saveEqPreset = useCallback((name) => {
+    const trimmedName = name.trim();
+    if (!trimmedName) return;
+    
+    const preset = {
+      id: `user-${Date.now()}`,
+      name: trimmedName,
+      group: 'My Presets',
+      bands: eqSettings.bands,
+      bassBoost: eqSettings.bassBoost,
+      stereoWidth: eqSettings.stereoWidth
+    };
+    setUserEqPresets(prev => [...prev, preset]);
+    setEqSettings(prev => ({ ...prev, presetId: preset.id }));
+    toast.success(`Saved preset "${trimmedName}"`);
+  }, [eqSettings]);
+  
+  const deleteEqPreset = useCallback((presetId) => {
+    setUserEqPresets(prev => prev.filter(preset => preset.id !== presetId));
+    setEqSettings(prev => (prev.presetId === presetId ? { ...prev, presetId: null } : prev));
+  }, []);
+  
+  // OS media keys, headset buttons and lock screen controls
+  const mediaSessionActionsRef = useRef({});
+  mediaSessionActionsRef.current = { isPlaying, status, currentTime, duration, resumeSong, togglePlayPause, playNext, playPrevious, seekTo };
+  
+  useEffect(() => {
+    if (!('mediaSession' in navigator)) return;
+    
+    const actions = {
+      play: () => {
+        // A load in flight already ends in playback; toggling would cancel it
+        const { isPlaying, status, resumeSong } = mediaSessionActionsRef.current;
+        if (!isPlaying && !LOADING_STATUSES.includes(status)) resumeSong();
+      },
+      pause: () => {
+        if (mediaSessionActionsRef.current.isPlaying) mediaSessionActionsRef.current.togglePlayPause();
+      },
+      nexttrack: () => mediaSessionActionsRef.current.playNext(),
+      previoustrack: () => mediaSessionActionsRef.current.playPrevious(),
+      seekforward: (details) => {
+        const { currentTime, duration, seekTo } = mediaSessionActionsRef.current;
+        seekTo(Math.min(currentTime + (details.seekOffset || MEDIA_SEEK_OFFSET), duration || Infinity));
+      },
+      seekbackward: (details) => {
+        const { currentTime, seekTo } = mediaSessionActionsRef.current;
+        seekTo(Math.max(currentTime - (details.seekOffset || MEDIA_SEEK_OFFSET), 0));
+      },
+      seekto: (details) => {
+        if (details.fastSeek && audioRef.current && 'fastSeek' in audioRef.current) {
+          audioRef.current.fastSeek(details.seekTime);
+          return;
+        }
+        mediaSessionActionsRef.current.seekTo(details.seekTime);
+      }
+    };
+    
+    Object.entries(actions).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch (error) {
+        // Not every browser supports every action
+        console.warn(`Media session action "${action}" is not supported`);
+      }
+    });
+    
+    return () => {
+      Object.keys(actions).forEach(action => {
+        try {
+          navigator.mediaSession.setActionHandler(action, null);
+        } catch (error) {
+          // Ignore unsupported actions
+        }
+      });
+    };
+  }, []);
+  
+  useEffect(() => {
+    if (!('mediaSession' in navigator)) return;
+    
+    if (!currentSong) {
+      navigator.mediaSession.metadata = null;
+      return;
+    }
+    
+    navigator.mediaSession.metadata = new window.MediaMetadata({
+      title: currentSong.name,
+      artist: currentSong.artist,
+      album: currentSong.album || '',
+      artwork: currentSong.image_url ? [{ src: currentSong.image_url, sizes: '640x640' }] : []
+    });
+  }, [currentSong]);
+  
+  useEffect(() => {
+    if (!('mediaSession' in navigator)) return;
+    navigator.mediaSession.playbackState = currentSong ? (isPlaying ? 'playing' : 'paused') : 'none';
+  }, [isPlaying, currentSong]);
+  
+  useEffect(() => {
+    if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+    if (!duration || !isFinite(duration)) return;
+    
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate,
+        position: Math.min(Math.max(currentTime, 0), duration)
+      });
+    } catch (error) {
+      console.warn('Failed to update media session position:', error);
+    }
+  }, [currentTime, duration, playbackRate]);
+  
   const formatTime = useCallback((seconds) => {
     if (!seconds || isNaN(seconds)) return '0:00';
     const mins = Math.floor(seconds / 60);
@@ -646,16 +1669,32 @@ const AudioPlayerProvider = ({ children }) => {
   const value = {
     // State
     currentSong,
+    status,
     isPlaying,
     currentTime,
     duration,
     volume,
     isMuted,
     isShuffled,
-    isRepeat,
+    repeatMode,
     queue,
     currentIndex,
+    playOrder,
     isPlayerMinimized,
+    eqSettings,
+    userEqPresets,
+    sleepTimer,
+    sleepRemaining,
+    playbackRate,
+    preservePitch,
+    demoMode,
+    audioSource,
+    dataSaver,
+    implicitFeedback,
+    crossfade,
+    normalization,
+    abLoop,
+    isLoopActive,
     
     // Actions
     playSong,
@@ -670,11 +1709,31 @@ const AudioPlayerProvider = ({ children }) => {
     toggleShuffle,
     toggleRepeat,
     addToQueue,
+    insertNext,
+    removeFromQueue,
+    moveQueueItem,
+    playFromQueue,
     clearQueue,
     setIsPlayerMinimized,
+    updateEqSettings,
+    applyEqPreset,
+    saveEqPreset,
+    deleteEqPreset,
+    startSleepTimer,
+    cancelSleepTimer,
+    setPlaybackRate,
+    setPreservePitch,
+    setDemoMode,
+    setDataSaver,
+    setImplicitFeedback,
+    updateCrossfade,
+    updateNormalization,
+    setLoopPoint,
+    clearLoop,
     
     // Utilities
-    formatTime
+    formatTime,
+    getAnalyser
   };
   
   return (
@@ -703,6 +1762,12 @@ const api = {
   getPlaylist: (playlistId) => axios.get(`${API}/playlists/${playlistId}`),
   getPlaylistsByGenre: (genre) => axios.get(`${API}/playlists/genre/${encodeURIComponent(genre)}`),
   
+  // Personal playlists
+  getUserPlaylists: (userId) => axios.get(`${API}/user-playlists/user/${userId}`),
+  createUserPlaylist: (playlistData) => axios.post(`${API}/user-playlists`, playlistData),
+  updateUserPlaylist: (playlistId, updates) => axios.put(`${API}/user-playlists/${playlistId}`, updates),
+  deleteUserPlaylist: (playlistId) => axios.delete(`${API}/user-playlists/${playlistId}`),
+  
   // Ratings
   createRating: (ratingData) => axios.post(`${API}/ratings`, ratingData),
   getUserRatings: (userId) => axios.get(`${API}/ratings/user/${userId}`),
@@ -714,10 +1779,15 @@ const api = {
   
   // Recommendations
   getRecommendations: (userId, limit = 10) => axios.get(`${API}/recommendations/${userId}?limit=${limit}`),
+  sendFeedback: (userId, signals) => axios.post(`${API}/feedback`, { user_id: userId, signals }),
   
   // Chat
   explainRecommendation: (messageData) => axios.post(`${API}/chat/explain`, messageData),
   
+  // Listening history
+  recordHistory: (userId, events) => axios.post(`${API}/history`, { user_id: userId, events }),
+  clearUserHistory: (userId) => axios.delete(`${API}/history/user/${userId}`),
+  
   // Init data
   initializeData: () => axios.post(`${API}/init-data`),
   
@@ -737,363 +1807,1870 @@ const LoadingSpinner = () => (
   </div>
 );
 
-const AudioPlayer = () => {
-  const {
-    currentSong,
-    isPlaying,
-    currentTime,
-    duration,
-    volume,
-    isMuted,
-    isShuffled,
-    isRepeat,
-    queue,
-    isPlayerMinimized,
-    togglePlayPause,
-    playNext,
-    playPrevious,
-    seekTo,
-    setVolume,
-    toggleMute,
-    toggleShuffle,
-    toggleRepeat,
-    setIsPlayerMinimized,
-    formatTime
-  } = useAudioPlayer();
-  
-  const [isDragging, setIsDragging] = useState(false);
-  const [showVolumeSlider, setShowVolumeSlider] = useState(false);
-  
-  if (!currentSong) return null;
-  
-  const progress = duration > 0 ? (currentTime / duration) * 100 : 0;
-  
-  const handleProgressClick = (e) => {
-    const rect = e.currentTarget.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const percentage = x / rect.width;
-    const newTime = percentage * duration;
-    seekTo(newTime);
-  };
+// Visualizer modes, and how long a playing source may read as pure silence before
+// we assume analysis is blocked (CORS-tainted audio) and fall back to the idle animation
+const VISUALIZER_MODES = ['bars', 'wave'];
+const VISUALIZER_MODE_KEY = 'visualizer-mode';
+const VISUALIZER_SILENCE_MS = 1500;
+
+const AudioVisualizer = ({ mode = 'bars', compact = false, className = '', onClick, title }) => {
+  const { isPlaying, getAnalyser } = useAudioPlayer();
+  const canvasRef = useRef(null);
+  const [isPageVisible, setIsPageVisible] = useState(() => document.visibilityState === 'visible');
   
-  const handleVolumeChange = (e) => {
-    const newVolume = parseFloat(e.target.value);
-    setVolume(newVolume);
-  };
+  useEffect(() => {
+    const handleVisibilityChange = () => setIsPageVisible(document.visibilityState === 'visible');
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
   
-  if (isPlayerMinimized) {
-    return (
-      <motion.div
-        initial={{ opacity: 0, y: 100 }}
-        animate={{ opacity: 1, y: 0 }}
-        className="fixed bottom-4 right-4 z-50"
-      >
-        <Card className="bg-white/95 backdrop-blur-sm border-slate-200 shadow-xl">
-          <CardContent className="p-3">
-            <div className="flex items-center space-x-3">
-              <div className="w-12 h-12 rounded-lg overflow-hidden bg-gradient-to-br from-emerald-400 to-cyan-500 flex-shrink-0">
-                {currentSong.image_url ? (
-                  <img src={currentSong.image_url} alt={currentSong.name} className="w-full h-full object-cover" />
-                ) : (
-                  <Music className="w-6 h-6 text-white m-3" />
-                )}
-              </div>
-              
-              <div className="flex-1 min-w-0">
-                <p className="text-sm font-medium text-slate-900 truncate">{currentSong.name}</p>
-                <p className="text-xs text-slate-600 truncate">{currentSong.artist}</p>
-              </div>
-              
-              <Button
-                size="sm"
-                variant="ghost"
-                onClick={togglePlayPause}
-                className="text-emerald-600 hover:text-emerald-700 hover:bg-emerald-50"
-                data-testid="mini-player-play-pause"
-              >
-                {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
-              </Button>
-              
-              <Button
-                size="sm"
-                variant="ghost"
-                onClick={() => setIsPlayerMinimized(false)}
-                className="text-slate-600 hover:text-slate-700"
-                data-testid="expand-player-btn"
-              >
-                <Maximize2 className="w-4 h-4" />
-              </Button>
-            </div>
-          </CardContent>
-        </Card>
-      </motion.div>
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    
+    const context = canvas.getContext('2d');
+    const rect = canvas.getBoundingClientRect();
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = Math.max(rect.width * pixelRatio, 1);
+    canvas.height = Math.max(rect.height * pixelRatio, 1);
+    const { width, height } = canvas;
+    
+    const barCount = compact ? 6 : 32;
+    const barGap = compact ? 2 * pixelRatio : pixelRatio;
+    const gradient = context.createLinearGradient(0, height, 0, 0);
+    gradient.addColorStop(0, '#10b981');
+    gradient.addColorStop(1, '#06b6d4');
+    
+    const isActive = isPlaying && isPageVisible;
+    const analyser = isActive ? getAnalyser() : null;
+    const data = analyser
+      ? new Uint8Array(mode === 'wave' ? analyser.fftSize : analyser.frequencyBinCount)
+      : null;
+    let silentSince = null;
+    let frameId = null;
+    
+    const drawBars = (levels) => {
+      context.clearRect(0, 0, width, height);
+      context.fillStyle = gradient;
+      const barWidth = (width - barGap * (levels.length - 1)) / levels.length;
+      levels.forEach((level, i) => {
+        const barHeight = Math.max(level * height, 2 * pixelRatio);
+        context.fillRect(i * (barWidth + barGap), height - barHeight, barWidth, barHeight);
+      });
+    };
+    
+    const drawWave = (samples) => {
+      context.clearRect(0, 0, width, height);
+      context.strokeStyle = gradient;
+      context.lineWidth = 2 * pixelRatio;
+      context.beginPath();
+      samples.forEach((sample, i) => {
+        const x = (i / (samples.length - 1)) * width;
+        const y = height / 2 + sample * (height / 2 - context.lineWidth);
+        if (i === 0) {
+          context.moveTo(x, y);
+        } else {
+          context.lineTo(x, y);
+        }
+      });
+      context.stroke();
+    };
+    
+    // Levels from the lower part of the spectrum, where most musical energy sits
+    const levelsFromSpectrum = () => {
+      const usableBins = Math.floor(data.length * 0.7);
+      const binsPerBar = Math.max(Math.floor(usableBins / barCount), 1);
+      return Array.from({ length: barCount }, (_, bar) => {
+        let sum = 0;
+        for (let i = 0; i < binsPerBar; i++) {
+          sum += data[bar * binsPerBar + i] || 0;
+        }
+        return sum / binsPerBar / 255;
+      });
+    };
+    
+    const samplesFromWaveform = () => {
+      const step = Math.max(Math.floor(data.length / 256), 1);
+      const samples = [];
+      for (let i = 0; i < data.length; i += step) {
+        samples.push((data[i] - 128) / 128);
+      }
+      return samples;
+    };
+    
+    const drawIdle = (time, amplitude) => {
+      if (mode === 'wave') {
+        drawWave(Array.from({ length: 128 }, (_, i) => (
+          Math.sin(i / 8 + time / 300) * amplitude
+        )));
+      } else {
+        drawBars(Array.from({ length: barCount }, (_, i) => (
+          0.1 + amplitude * (0.5 + 0.5 * Math.sin(time / 350 + i * 0.7))
+        )));
+      }
+    };
+    
+    const render = (time) => {
+      let hasSignal = false;
+      if (analyser) {
+        if (mode === 'wave') {
+          analyser.getByteTimeDomainData(data);
+          hasSignal = data.some(value => Math.abs(value - 128) > 1);
+        } else {
+          analyser.getByteFrequencyData(data);
+          hasSignal = data.some(value => value > 0);
+        }
+        silentSince = hasSignal ? null : (silentSince ?? time);
+      }
+      
+      const analysisBlocked = !analyser || (silentSince !== null && time - silentSince > VISUALIZER_SILENCE_MS);
+      if (analysisBlocked) {
+        drawIdle(time, 0.3);
+      } else if (mode === 'wave') {
+        drawWave(samplesFromWaveform());
+      } else {
+        drawBars(levelsFromSpectrum());
+      }
+      
+      frameId = requestAnimationFrame(render);
+    };
+    
+    if (isActive) {
+      frameId = requestAnimationFrame(render);
+    } else {
+      // Paused or hidden tab: one still frame, no animation loop
+      drawIdle(0, 0);
+    }
+    
+    return () => {
+      if (frameId) {
+        cancelAnimationFrame(frameId);
+      }
+    };
+  }, [isPlaying, isPageVisible, mode, compact, getAnalyser]);
+  
+  return (
+    <canvas
+      ref={canvasRef}
+      onClick={onClick}
+      title={title}
+      className={`${onClick ? 'cursor-pointer' : ''} ${className}`}
+      data-testid={compact ? 'mini-visualizer' : 'audio-visualizer'}
+      data-mode={mode}
+    />
+  );
+};
+
+const QueuePanel = ({ open, onOpenChange }) => {
+  const {
+    queue,
+    currentIndex,
+    playOrder,
+    isPlaying,
+    playFromQueue,
+    removeFromQueue,
+    moveQueueItem,
+    clearQueue,
+    addToQueue
+  } = useAudioPlayer();
+  
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  
+  // Listed in play order, so shuffle shows what will actually come up
+  const entries = playOrder.filter(index => queue[index]).map(index => ({ song: queue[index], index }));
+  const position = entries.findIndex(({ index }) => index === currentIndex);
+  const upcoming = entries.slice(position + 1);
+  const played = position > 0 ? entries.slice(0, position) : [];
+  const nowPlaying = entries[position];
+  
+  const handleDragStart = (e, index) => {
+    e.dataTransfer.effectAllowed = 'move';
+    setDragIndex(index);
+  };
+  
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDropIndex(index);
+  };
+  
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (dragIndex !== null) {
+      moveQueueItem(dragIndex, index);
+    }
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+  
+  const handleDragEnd = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+  
+  const renderEntry = ({ song, index }) => {
+    const isCurrent = index === currentIndex;
+    
+    return (
+      <div
+        key={`${song.spotify_id || song.id}-${index}`}
+        draggable
+        onDragStart={(e) => handleDragStart(e, index)}
+        onDragOver={(e) => handleDragOver(e, index)}
+        onDrop={(e) => handleDrop(e, index)}
+        onDragEnd={handleDragEnd}
+        onClick={() => playFromQueue(index)}
+        className={`group flex items-center space-x-3 p-2 rounded-lg cursor-pointer transition-colors ${
+          isCurrent ? 'bg-emerald-50 border border-emerald-200' : 'hover:bg-slate-50 border border-transparent'
+        } ${dragIndex === index ? 'opacity-50' : ''} ${
+          dropIndex === index && dragIndex !== index ? 'border-t-2 border-t-emerald-400' : ''
+        }`}
+        data-testid={`queue-item-${index}`}
+      >
+        <GripVertical className="w-4 h-4 text-slate-300 group-hover:text-slate-500 cursor-grab flex-shrink-0" />
+        
+        <div className="w-10 h-10 rounded-md overflow-hidden bg-gradient-to-br from-emerald-400 to-cyan-500 flex-shrink-0">
+          {song.image_url ? (
+            <img src={song.image_url} alt={song.name} className="w-full h-full object-cover" />
+          ) : (
+            <Music className="w-5 h-5 text-white m-2.5" />
+          )}
+        </div>
+        
+        <div className="flex-1 min-w-0">
+          <p className={`text-sm font-medium truncate ${isCurrent ? 'text-emerald-700' : 'text-slate-900'}`}>
+            {song.name}
+          </p>
+          <p className="text-xs text-slate-600 truncate">{song.artist}</p>
+        </div>
+        
+        {isCurrent ? (
+          <div className={`w-2 h-2 rounded-full bg-emerald-500 flex-shrink-0 ${isPlaying ? 'animate-pulse' : ''}`} />
+        ) : (
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              removeFromQueue(index);
+            }}
+            className="p-1 text-slate-400 opacity-0 group-hover:opacity-100 hover:text-red-500 transition-opacity"
+            title="Remove from queue"
+            data-testid={`remove-queue-item-${index}`}
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
     );
-  }
+  };
   
   return (
-    <motion.div
-      initial={{ opacity: 0, y: 100 }}
-      animate={{ opacity: 1, y: 0 }}
-      exit={{ opacity: 0, y: 100 }}
-      className="fixed bottom-0 left-0 right-0 z-50 bg-white/95 backdrop-blur-sm border-t border-slate-200 shadow-2xl"
-      data-testid="audio-player"
-    >
-      <div className="max-w-7xl mx-auto px-4 py-4">
-        <div className="flex items-center space-x-4">
-          {/* Song Info */}
-          <div className="flex items-center space-x-4 flex-1 min-w-0">
-            <div className="w-16 h-16 rounded-lg overflow-hidden bg-gradient-to-br from-emerald-400 to-cyan-500 flex-shrink-0">
-              {currentSong.image_url ? (
-                <img src={currentSong.image_url} alt={currentSong.name} className="w-full h-full object-cover" />
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full sm:max-w-md flex flex-col" data-testid="queue-panel">
+        <SheetHeader>
+          <SheetTitle className="flex items-center">
+            <ListMusic className="w-5 h-5 mr-2 text-emerald-600" />
+            Queue
+          </SheetTitle>
+          <SheetDescription>
+            Drag to reorder, click a track to jump to it.
+          </SheetDescription>
+          <div className="flex items-center gap-2 pt-2">
+            <PlaylistImportButton
+              testId="queue"
+              label="Import"
+              onImport={({ songs }) => {
+                addToQueue(songs);
+                return `Added ${songs.length} songs to the queue`;
+              }}
+            />
+            <PlaylistExportMenu name="Queue" songs={queue} testId="queue" />
+          </div>
+        </SheetHeader>
+        
+        <ScrollArea className="flex-1 -mx-2 px-2">
+          <div className="space-y-6 pb-4">
+            {nowPlaying && (
+              <section>
+                <h3 className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-2">Now Playing</h3>
+                {renderEntry(nowPlaying)}
+              </section>
+            )}
+            
+            <section>
+              <h3 className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-2">
+                Up Next ({upcoming.length})
+              </h3>
+              {upcoming.length > 0 ? (
+                <div className="space-y-1">{upcoming.map(renderEntry)}</div>
               ) : (
-                <Music className="w-8 h-8 text-white m-4" />
+                <p className="text-sm text-slate-400 py-2">Nothing queued after this track.</p>
               )}
-            </div>
+            </section>
             
-            <div className="flex-1 min-w-0">
-              <h3 className="font-semibold text-slate-900 truncate">{currentSong.name}</h3>
-              <p className="text-sm text-slate-600 truncate">{currentSong.artist}</p>
-              <div className="flex items-center space-x-2 mt-1">
-                {currentSong.genres?.slice(0, 2).map((genre, index) => (
-                  <Badge key={index} variant="secondary" className="text-xs">
-                    {genre}
-                  </Badge>
-                ))}
-              </div>
-            </div>
+            {played.length > 0 && (
+              <section>
+                <h3 className="text-xs font-semibold uppercase tracking-wide text-slate-500 mb-2">
+                  Previously Played ({played.length})
+                </h3>
+                <div className="space-y-1">{played.map(renderEntry)}</div>
+              </section>
+            )}
           </div>
-          
-          {/* Player Controls */}
-          <div className="flex flex-col items-center space-y-2 flex-1 max-w-md">
-            <div className="flex items-center space-x-4">
-              <Button
-                size="sm"
-                variant="ghost"
-                onClick={toggleShuffle}
-                className={`${isShuffled ? 'text-emerald-600' : 'text-slate-600'} hover:text-emerald-700`}
-                data-testid="shuffle-btn"
-              >
-                <Shuffle className="w-4 h-4" />
-              </Button>
-              
-              <Button
-                size="sm"
-                variant="ghost"
-                onClick={playPrevious}
-                disabled={queue.length <= 1}
-                className="text-slate-600 hover:text-slate-900 disabled:opacity-50"
-                data-testid="previous-btn"
-              >
-                <SkipBack className="w-5 h-5" />
-              </Button>
-              
-              <Button
-                size="lg"
-                onClick={togglePlayPause}
-                className="bg-emerald-500 hover:bg-emerald-600 text-white rounded-full w-12 h-12 p-0"
-                data-testid="main-play-pause-btn"
-              >
-                {isPlaying ? <Pause className="w-6 h-6" /> : <Play className="w-6 h-6 ml-1" />}
-              </Button>
-              
-              <Button
-                size="sm"
-                variant="ghost"
-                onClick={playNext}
-                disabled={queue.length <= 1}
-                className="text-slate-600 hover:text-slate-900 disabled:opacity-50"
-                data-testid="next-btn"
-              >
-                <SkipForward className="w-5 h-5" />
-              </Button>
-              
-              <Button
-                size="sm"
-                variant="ghost"
-                onClick={toggleRepeat}
-                className={`${isRepeat ? 'text-emerald-600' : 'text-slate-600'} hover:text-emerald-700`}
-                data-testid="repeat-btn"
+        </ScrollArea>
+        
+        {queue.length > 0 && (
+          <Button
+            variant="outline"
+            onClick={clearQueue}
+            className="border-slate-200 text-slate-700"
+            data-testid="clear-queue-btn"
+          >
+            <Trash2 className="w-4 h-4 mr-2" />
+            Clear Queue
+          </Button>
+        )}
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+const SleepTimerMenu = () => {
+  const { sleepTimer, sleepRemaining, startSleepTimer, cancelSleepTimer, formatTime } = useAudioPlayer();
+  
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button
+          size="sm"
+          variant="ghost"
+          className={`${sleepTimer ? 'text-emerald-600' : 'text-slate-600'} hover:text-slate-900`}
+          title={sleepTimer ? `Sleep timer: ${sleepTimer.label}` : 'Sleep timer'}
+          data-testid="sleep-timer-btn"
+        >
+          <Moon className="w-4 h-4" />
+          {sleepTimer && (
+            <span className="ml-1 text-xs tabular-nums" data-testid="sleep-timer-countdown">
+              {sleepRemaining !== null ? formatTime(sleepRemaining) : sleepTimer.label}
+            </span>
+          )}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-52">
+        <DropdownMenuLabel>Sleep timer</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        {SLEEP_TIMER_OPTIONS.map(option => (
+          <DropdownMenuItem
+            key={option.id}
+            onSelect={() => startSleepTimer(option.id)}
+            data-testid={`sleep-timer-${option.id}`}
+          >
+            {option.label}
+            {sleepTimer?.id === option.id && <Check className="w-4 h-4 ml-auto text-emerald-600" />}
+          </DropdownMenuItem>
+        ))}
+        {sleepTimer && (
+          <>
+            <DropdownMenuSeparator />
+            <DropdownMenuItem onSelect={cancelSleepTimer} className="text-red-600" data-testid="sleep-timer-cancel">
+              Cancel timer
+            </DropdownMenuItem>
+          </>
+        )}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+const formatRate = (rate) => `${rate}x`;
+
+const PlaybackSpeedMenu = () => {
+  const { playbackRate, preservePitch, setPlaybackRate, setPreservePitch } = useAudioPlayer();
+  
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button
+          size="sm"
+          variant="ghost"
+          className={`${playbackRate !== 1 ? 'text-emerald-600' : 'text-slate-600'} hover:text-slate-900`}
+          title="Playback speed"
+          data-testid="playback-speed-btn"
+        >
+          <Gauge className="w-4 h-4" />
+          {playbackRate !== 1 && <span className="ml-1 text-xs tabular-nums">{formatRate(playbackRate)}</span>}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-48">
+        <DropdownMenuLabel>Playback speed</DropdownMenuLabel>
+        <DropdownMenuSeparator />
+        <DropdownMenuRadioGroup
+          value={String(playbackRate)}
+          onValueChange={(value) => setPlaybackRate(parseFloat(value))}
+        >
+          {PLAYBACK_RATES.map(rate => (
+            <DropdownMenuRadioItem key={rate} value={String(rate)} data-testid={`playback-rate-${rate}`}>
+              {rate === 1 ? 'Normal' : formatRate(rate)}
+            </DropdownMenuRadioItem>
+          ))}
+        </DropdownMenuRadioGroup>
+        <DropdownMenuSeparator />
+        <DropdownMenuCheckboxItem
+          checked={preservePitch}
+          onCheckedChange={setPreservePitch}
+          onSelect={(e) => e.preventDefault()}
+          data-testid="preserve-pitch-toggle"
+        >
+          Keep original pitch
+        </DropdownMenuCheckboxItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+// Named positions in songs, saved per user as a map of song key → bookmarks
+// sorted by time
+const BOOKMARKS_KEY_PREFIX = 'bookmarks:';
+
+const useSongBookmarks = (userId, song) => {
+  const storageKey = `${BOOKMARKS_KEY_PREFIX}${userId || 'guest'}`;
+  const songKey = song ? getPreviewCacheKey(song) : null;
+  const [allBookmarks, setAllBookmarks] = useState(() => loadJSON(storageKey, {}));
+  
+  useEffect(() => {
+    setAllBookmarks(loadJSON(storageKey, {}));
+  }, [storageKey]);
+  
+  const updateSongBookmarks = useCallback((change) => {
+    const songBookmarks = change(allBookmarks[songKey] || []);
+    const next = { ...allBookmarks, [songKey]: songBookmarks };
+    if (songBookmarks.length === 0) {
+      delete next[songKey];
+    }
+    setAllBookmarks(next);
+    saveJSON(storageKey, next);
+  }, [allBookmarks, songKey, storageKey]);
+  
+  const addBookmark = useCallback((name, time) => {
+    updateSongBookmarks(prev => [
+      ...prev,
+      { id: `bookmark-${Date.now()}`, name, time, createdAt: new Date().toISOString() }
+    ].sort((a, b) => a.time - b.time));
+  }, [updateSongBookmarks]);
+  
+  const removeBookmark = useCallback((id) => {
+    updateSongBookmarks(prev => prev.filter(bookmark => bookmark.id !== id));
+  }, [updateSongBookmarks]);
+  
+  return {
+    bookmarks: (songKey && allBookmarks[songKey]) || [],
+    addBookmark,
+    removeBookmark
+  };
+};
+
+const LoopBookmarksMenu = ({ bookmarks, onAddBookmark, onRemoveBookmark }) => {
+  const {
+    currentTime,
+    playbackRate,
+    abLoop,
+    isLoopActive,
+    setLoopPoint,
+    clearLoop,
+    seekTo,
+    formatTime
+  } = useAudioPlayer();
+  const [bookmarkName, setBookmarkName] = useState('');
+  
+  // Shown as listening time, like the progress bar
+  const formatPosition = (time) => formatTime(time / playbackRate);
+  const hasLoopPoint = abLoop.a !== null || abLoop.b !== null;
+  
+  const handleAddBookmark = (e) => {
+    e.preventDefault();
+    const name = bookmarkName.trim() || `Bookmark at ${formatPosition(currentTime)}`;
+    onAddBookmark(name, currentTime);
+    setBookmarkName('');
+    toast.success(`Bookmarked "${name}"`);
+  };
+  
+  return (
+    <Popover>
+      <PopoverTrigger asChild>
+        <Button
+          size="sm"
+          variant="ghost"
+          className={`${isLoopActive ? 'text-emerald-600' : 'text-slate-600'} hover:text-slate-900`}
+          title="Loop and bookmarks"
+          data-testid="loop-bookmarks-btn"
+        >
+          <Bookmark className="w-4 h-4" />
+          {isLoopActive && <span className="ml-1 text-xs font-medium">A-B</span>}
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent align="end" className="w-72 p-3" data-testid="loop-bookmarks-menu">
+        {/* A-B Loop */}
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-medium text-slate-900">A-B loop</h4>
+            {hasLoopPoint && (
+              <button
+                type="button"
+                onClick={clearLoop}
+                className="text-xs text-slate-500 hover:text-slate-900"
+                data-testid="clear-loop-btn"
               >
-                <Repeat className="w-4 h-4" />
-              </Button>
-            </div>
-            
-            {/* Progress Bar */}
-            <div className="flex items-center space-x-2 w-full">
-              <span className="text-xs text-slate-500 w-10">{formatTime(currentTime)}</span>
-              <div 
-                className="flex-1 h-2 bg-slate-200 rounded-full cursor-pointer group"
-                onClick={handleProgressClick}
-                data-testid="progress-bar"
+                Clear
+              </button>
+            )}
+          </div>
+          <div className="flex space-x-2">
+            <Button
+              size="sm"
+              variant="outline"
+              className="flex-1"
+              onClick={() => setLoopPoint('a')}
+              data-testid="set-loop-a-btn"
+            >
+              A {abLoop.a !== null && <span className="ml-1 text-xs text-slate-500 tabular-nums">{formatPosition(abLoop.a)}</span>}
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              className="flex-1"
+              onClick={() => setLoopPoint('b')}
+              data-testid="set-loop-b-btn"
+            >
+              B {abLoop.b !== null && <span className="ml-1 text-xs text-slate-500 tabular-nums">{formatPosition(abLoop.b)}</span>}
+            </Button>
+          </div>
+          <p className="text-xs text-slate-500" data-testid="loop-status">
+            {isLoopActive
+              ? `Looping ${formatPosition(abLoop.a)} – ${formatPosition(abLoop.b)}`
+              : 'Set A and B at the current position to loop that section.'}
+          </p>
+        </div>
+        
+        {/* Bookmarks */}
+        <div className="mt-4 pt-3 border-t border-slate-200 space-y-2">
+          <h4 className="text-sm font-medium text-slate-900">Bookmarks</h4>
+          <form onSubmit={handleAddBookmark} className="flex space-x-2">
+            <Input
+              value={bookmarkName}
+              onChange={(e) => setBookmarkName(e.target.value)}
+              placeholder={`Name for ${formatPosition(currentTime)}`}
+              maxLength={60}
+              className="h-8 text-sm"
+              data-testid="bookmark-name-input"
+            />
+            <Button type="submit" size="sm" className="bg-emerald-500 hover:bg-emerald-600" data-testid="add-bookmark-btn">
+              Add
+            </Button>
+          </form>
+          {bookmarks.length === 0 ? (
+            <p className="text-xs text-slate-500">No bookmarks for this song yet.</p>
+          ) : (
+            <ul className="max-h-48 overflow-y-auto -mx-1" data-testid="bookmark-list">
+              {bookmarks.map(bookmark => (
+                <li key={bookmark.id} className="flex items-center group">
+                  <button
+                    type="button"
+                    onClick={() => seekTo(bookmark.time)}
+                    className="flex-1 min-w-0 flex items-center justify-between px-1 py-1 rounded text-left text-sm hover:bg-slate-100"
+                    data-testid={`bookmark-${bookmark.id}`}
+                  >
+                    <span className="truncate text-slate-900">{bookmark.name}</span>
+                    <span className="ml-2 text-xs text-slate-500 tabular-nums">{formatPosition(bookmark.time)}</span>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onRemoveBookmark(bookmark.id)}
+                    className="p-1 text-slate-400 hover:text-red-600 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+                    title="Delete bookmark"
+                    data-testid={`delete-bookmark-${bookmark.id}`}
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+// Waveform of the audio the player has loaded. Previews are downloaded a second
+// time to decode them, so with data saver on only cached waveforms are shown.
+const useWaveform = (song, audioSource) => {
+  const { dataSaver } = useAudioPlayer();
+  
+  const { data: peaks = null } = useQuery(
+    ['waveform', song && getPreviewCacheKey(song), audioSource, dataSaver],
+    async () => {
+      const demo = audioSource === 'demo';
+      const cached = await getCachedWaveform(song, { demo });
+      if (cached) return cached;
+      if (demo) return loadWaveform(song, generateAudioUrl(song), { demo });
+      
+      const offlineBlob = await getDownloadBlob(song);
+      if (offlineBlob) return loadWaveform(song, offlineBlob);
+      if (dataSaver) return null;
+      
+      const preview = await resolvePreview(song);
+      return preview ? loadWaveform(song, preview.url) : null;
+    },
+    { enabled: !!song && !!audioSource, staleTime: Infinity, retry: false }
+  );
+  
+  return peaks;
+};
+
+// Drawn until the waveform is ready, or when there is none
+const FLAT_WAVEFORM = new Array(WAVEFORM_BARS).fill(0.25);
+const SEEK_STEP_SECONDS = 5;
+const SEEK_STEP_LARGE_SECONDS = 15;
+
+const WaveformBars = ({ peaks, className = '', style }) => (
+  <div className={`absolute inset-0 flex items-center gap-px pointer-events-none ${className}`} style={style}>
+    {peaks.map((peak, index) => (
+      <div key={index} className="flex-1 rounded-full bg-current" style={{ height: `${Math.max(peak * 100, 8)}%` }} />
+    ))}
+  </div>
+);
+
+const WaveformSeekBar = ({ bookmarks }) => {
+  const {
+    currentSong,
+    currentTime,
+    duration,
+    playbackRate,
+    audioSource,
+    abLoop,
+    isLoopActive,
+    seekTo,
+    formatTime
+  } = useAudioPlayer();
+  const peaks = useWaveform(currentSong, audioSource);
+  const [isDragging, setIsDragging] = useState(false);
+  const [scrubTime, setScrubTime] = useState(0);
+  const [hoverTime, setHoverTime] = useState(null);
+  
+  // While scrubbing, the bar and the time follow the pointer; audio seeks on release
+  const displayTime = isDragging ? scrubTime : currentTime;
+  const toPercent = (time) => (duration > 0 ? Math.min(time / duration, 1) * 100 : 0);
+  const progress = toPercent(displayTime);
+  // Times are shown as listening time, i.e. scaled by the playback speed
+  const formatListeningTime = (time) => formatTime(time / playbackRate);
+  const tooltipTime = isDragging ? scrubTime : hoverTime;
+  
+  const timeAtPointer = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    return ratio * duration;
+  };
+  
+  const handlePointerDown = (e) => {
+    if (!duration || e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setIsDragging(true);
+    setScrubTime(timeAtPointer(e));
+  };
+  
+  const handlePointerMove = (e) => {
+    if (!duration) return;
+    const time = timeAtPointer(e);
+    setHoverTime(time);
+    if (isDragging) {
+      setScrubTime(time);
+    }
+  };
+  
+  const handlePointerUp = (e) => {
+    if (!isDragging) return;
+    setIsDragging(false);
+    seekTo(timeAtPointer(e));
+  };
+  
+  const handleKeyDown = (e) => {
+    if (!duration) return;
+    
+    const step = e.shiftKey ? SEEK_STEP_LARGE_SECONDS : SEEK_STEP_SECONDS;
+    let time;
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowDown':
+        time = currentTime - step;
+        break;
+      case 'ArrowRight':
+      case 'ArrowUp':
+        time = currentTime + step;
+        break;
+      case 'PageDown':
+        time = currentTime - duration / 10;
+        break;
+      case 'PageUp':
+        time = currentTime + duration / 10;
+        break;
+      case 'Home':
+        time = 0;
+        break;
+      case 'End':
+        time = duration;
+        break;
+      default:
+        return;
+    }
+    // Also keeps the global seek and volume shortcuts from firing
+    e.preventDefault();
+    seekTo(Math.min(Math.max(time, 0), duration));
+  };
+  
+  return (
+    <div className="flex items-center space-x-2 w-full">
+      <span
+        className={`text-xs w-10 tabular-nums ${isDragging ? 'text-emerald-600 font-medium' : 'text-slate-500'}`}
+        data-testid="elapsed-time"
+      >
+        {formatListeningTime(displayTime)}
+      </span>
+      <div
+        className="relative flex-1 h-8 cursor-pointer select-none touch-none rounded focus:outline-none focus-visible:ring-2 focus-visible:ring-emerald-500"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => setIsDragging(false)}
+        onPointerLeave={() => setHoverTime(null)}
+        onKeyDown={handleKeyDown}
+        role="slider"
+        tabIndex={0}
+        aria-label="Seek"
+        aria-valuemin={0}
+        aria-valuemax={Math.round(duration || 0)}
+        aria-valuenow={Math.round(displayTime)}
+        aria-valuetext={`${formatListeningTime(displayTime)} of ${formatListeningTime(duration)}`}
+        data-testid="progress-bar"
+        data-waveform={peaks ? 'ready' : 'placeholder'}
+      >
+        <WaveformBars peaks={peaks || FLAT_WAVEFORM} className="text-slate-300" />
+        <WaveformBars
+          peaks={peaks || FLAT_WAVEFORM}
+          className="text-emerald-500"
+          style={{ clipPath: `inset(0 ${100 - progress}% 0 0)` }}
+        />
+        <div
+          className="absolute inset-y-0 w-0.5 -translate-x-1/2 bg-emerald-600 pointer-events-none"
+          style={{ left: `${progress}%` }}
+        />
+        
+        {/* A-B loop region and markers */}
+        {isLoopActive && (
+          <div
+            className="absolute inset-y-0 bg-amber-400/25 pointer-events-none"
+            style={{ left: `${toPercent(abLoop.a)}%`, width: `${toPercent(abLoop.b) - toPercent(abLoop.a)}%` }}
+            data-testid="loop-region"
+          />
+        )}
+        {['a', 'b'].filter(point => abLoop[point] !== null).map(point => (
+          <div
+            key={point}
+            className="absolute inset-y-0 w-0.5 bg-amber-500 pointer-events-none"
+            style={{ left: `${toPercent(abLoop[point])}%` }}
+            data-testid={`loop-marker-${point}`}
+          />
+        ))}
+        
+        {/* Bookmark ticks */}
+        {bookmarks.map(bookmark => (
+          <button
+            key={bookmark.id}
+            type="button"
+            onPointerDown={(e) => e.stopPropagation()}
+            onClick={() => seekTo(bookmark.time)}
+            className="absolute -bottom-1.5 -translate-x-1/2 w-2 h-3 rounded-sm bg-slate-500 hover:bg-slate-900 transition-colors"
+            style={{ left: `${toPercent(bookmark.time)}%` }}
+            title={`${bookmark.name} · ${formatListeningTime(bookmark.time)}`}
+            aria-label={`Jump to ${bookmark.name}`}
+            data-testid={`bookmark-tick-${bookmark.id}`}
+          />
+        ))}
+        
+        {/* Target time */}
+        {tooltipTime !== null && duration > 0 && (
+          <div
+            className="absolute -top-7 -translate-x-1/2 px-1.5 py-0.5 rounded bg-slate-900 text-white text-xs tabular-nums pointer-events-none whitespace-nowrap"
+            style={{ left: `${toPercent(tooltipTime)}%` }}
+            data-testid="seek-tooltip"
+          >
+            {formatListeningTime(tooltipTime)}
+          </div>
+        )}
+      </div>
+      <span className="text-xs text-slate-500 w-10 tabular-nums">{formatListeningTime(duration)}</span>
+    </div>
+  );
+};
+
+const AudioPlayer = ({ currentUser }) => {
+  const {
+    currentSong,
+    status,
+    isPlaying,
+    volume,
+    isMuted,
+    isShuffled,
+    repeatMode,
+    queue,
+    isPlayerMinimized,
+    audioSource,
+    togglePlayPause,
+    playNext,
+    playPrevious,
+    setVolume,
+    toggleMute,
+    toggleShuffle,
+    toggleRepeat,
+    setIsPlayerMinimized
+  } = useAudioPlayer();
+  
+  const [showVolumeSlider, setShowVolumeSlider] = useState(false);
+  const [isQueueOpen, setIsQueueOpen] = useState(false);
+  const { bookmarks, addBookmark, removeBookmark } = useSongBookmarks(currentUser?.id, currentSong);
+  const [visualizerMode, setVisualizerMode] = useState(() => (
+    VISUALIZER_MODES.includes(loadJSON(VISUALIZER_MODE_KEY)) ? loadJSON(VISUALIZER_MODE_KEY) : 'bars'
+  ));
+  
+  useEffect(() => {
+    saveJSON(VISUALIZER_MODE_KEY, visualizerMode);
+  }, [visualizerMode]);
+  
+  if (!currentSong) return null;
+  
+  const isLoading = LOADING_STATUSES.includes(status) || status === 'buffering';
+  
+  const handleVolumeChange = (e) => {
+    const newVolume = parseFloat(e.target.value);
+    setVolume(newVolume);
+  };
+  
+  if (isPlayerMinimized) {
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: 100 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="fixed bottom-4 right-4 z-50"
+      >
+        <Card className="bg-white/95 backdrop-blur-sm border-slate-200 shadow-xl">
+          <CardContent className="p-3">
+            <div className="flex items-center space-x-3">
+              <div className="w-12 h-12 rounded-lg overflow-hidden bg-gradient-to-br from-emerald-400 to-cyan-500 flex-shrink-0">
+                {currentSong.image_url ? (
+                  <img src={currentSong.image_url} alt={currentSong.name} className="w-full h-full object-cover" />
+                ) : (
+                  <Music className="w-6 h-6 text-white m-3" />
+                )}
+              </div>
+              
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-slate-900 truncate">{currentSong.name}</p>
+                <p className="text-xs text-slate-600 truncate">
+                  {audioSource === 'demo' && <span className="text-amber-600 font-medium">Demo audio · </span>}
+                  {currentSong.artist}
+                </p>
+              </div>
+              
+              <AudioVisualizer compact className="w-8 h-6" />
+              
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={togglePlayPause}
+                className="text-emerald-600 hover:text-emerald-700 hover:bg-emerald-50"
+                data-testid="mini-player-play-pause"
               >
-                <div 
-                  className="h-full bg-emerald-500 rounded-full relative group-hover:bg-emerald-600 transition-colors"
-                  style={{ width: `${progress}%` }}
-                >
-                  <div className="absolute right-0 top-1/2 transform translate-x-1/2 -translate-y-1/2 w-3 h-3 bg-emerald-500 rounded-full opacity-0 group-hover:opacity-100 transition-opacity"></div>
-                </div>
+                {isLoading ? (
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                ) : isPlaying ? (
+                  <Pause className="w-4 h-4" />
+                ) : (
+                  <Play className="w-4 h-4" />
+                )}
+              </Button>
+              
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => setIsPlayerMinimized(false)}
+                className="text-slate-600 hover:text-slate-700"
+                data-testid="expand-player-btn"
+              >
+                <Maximize2 className="w-4 h-4" />
+              </Button>
+            </div>
+          </CardContent>
+        </Card>
+      </motion.div>
+    );
+  }
+  
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 100 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: 100 }}
+      className="fixed bottom-0 left-0 right-0 z-50 bg-white/95 backdrop-blur-sm border-t border-slate-200 shadow-2xl"
+      data-testid="audio-player"
+    >
+      <div className="max-w-7xl mx-auto px-4 py-4">
+        <div className="flex items-center space-x-4">
+          {/* Song Info */}
+          <div className="flex items-center space-x-4 flex-1 min-w-0">
+            <div className="w-16 h-16 rounded-lg overflow-hidden bg-gradient-to-br from-emerald-400 to-cyan-500 flex-shrink-0">
+              {currentSong.image_url ? (
+                <img src={currentSong.image_url} alt={currentSong.name} className="w-full h-full object-cover" />
+              ) : (
+                <Music className="w-8 h-8 text-white m-4" />
+              )}
+            </div>
+            
+            <div className="flex-1 min-w-0">
+              <h3 className="font-semibold text-slate-900 truncate">{currentSong.name}</h3>
+              <p className="text-sm text-slate-600 truncate">{currentSong.artist}</p>
+              <div className="flex items-center space-x-2 mt-1">
+                {status === 'error' && (
+                  <Badge className="text-xs bg-red-100 text-red-700 hover:bg-red-100" data-testid="player-error-badge">
+                    Couldn't play
+                  </Badge>
+                )}
+                {LOADING_STATUSES.includes(status) && (
+                  <span className="text-xs text-slate-500" data-testid="player-status">
+                    {status === 'resolving' ? 'Finding preview...' : 'Loading...'}
+                  </span>
+                )}
+                {audioSource === 'demo' && (
+                  <Badge
+                    className="text-xs bg-amber-100 text-amber-800 hover:bg-amber-100"
+                    title="Synthesized locally; not the real track. Turn off demo audio in Settings."
+                    data-testid="demo-audio-badge"
+                  >
+                    <Sparkles className="w-3 h-3 mr-1" />
+                    Demo audio
+                  </Badge>
+                )}
+                {audioSource === 'offline' && (
+                  <Badge className="text-xs bg-cyan-50 text-cyan-700 hover:bg-cyan-50" data-testid="offline-audio-badge">
+                    <HardDrive className="w-3 h-3 mr-1" />
+                    Offline
+                  </Badge>
+                )}
+                {currentSong.genres?.slice(0, 2).map((genre, index) => (
+                  <Badge key={index} variant="secondary" className="text-xs">
+                    {genre}
+                  </Badge>
+                ))}
               </div>
-              <span className="text-xs text-slate-500 w-10">{formatTime(duration)}</span>
             </div>
           </div>
           
-          {/* Volume & Extra Controls */}
-          <div className="flex items-center space-x-2 flex-1 justify-end">
-            <div className="relative">
+          {/* Visualizer */}
+          <AudioVisualizer
+            mode={visualizerMode}
+            onClick={() => setVisualizerMode(mode => (mode === 'bars' ? 'wave' : 'bars'))}
+            title="Switch visualizer mode"
+            className="hidden lg:block w-40 h-12 flex-shrink-0"
+          />
+          
+          {/* Player Controls */}
+          <div className="flex flex-col items-center space-y-2 flex-1 max-w-md">
+            <div className="flex items-center space-x-4">
               <Button
                 size="sm"
                 variant="ghost"
-                onClick={toggleMute}
-                onMouseEnter={() => setShowVolumeSlider(true)}
-                className="text-slate-600 hover:text-slate-900"
-                data-testid="volume-btn"
+                onClick={toggleShuffle}
+                className={`${isShuffled ? 'text-emerald-600' : 'text-slate-600'} hover:text-emerald-700`}
+                data-testid="shuffle-btn"
               >
-                {isMuted || volume === 0 ? <VolumeX className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
+                <Shuffle className="w-4 h-4" />
               </Button>
               
-              <AnimatePresence>
-                {showVolumeSlider && (
-                  <motion.div
-                    initial={{ opacity: 0, y: 10 }}
-                    animate={{ opacity: 1, y: 0 }}
-                    exit={{ opacity: 0, y: 10 }}
-                    className="absolute bottom-full mb-2 left-1/2 transform -translate-x-1/2 bg-white rounded-lg shadow-lg border border-slate-200 p-3"
-                    onMouseLeave={() => setShowVolumeSlider(false)}
-                  >
-                    <input
-                      type="range"
-                      min="0"
-                      max="1"
-                      step="0.1"
-                      value={volume}
-                      onChange={handleVolumeChange}
-                      className="w-20 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer slider"
-                      data-testid="volume-slider"
-                    />
-                  </motion.div>
-                )}
-              </AnimatePresence>
-            </div>
-            
-            <div className="text-xs text-slate-500">
-              {queue.length > 1 && `${queue.length} in queue`}
-            </div>
-            
-            <Button
-              size="sm"
-              variant="ghost"
-              onClick={() => setIsPlayerMinimized(true)}
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={playPrevious}
+                disabled={queue.length <= 1}
+                className="text-slate-600 hover:text-slate-900 disabled:opacity-50"
+                data-testid="previous-btn"
+              >
+                <SkipBack className="w-5 h-5" />
+              </Button>
+              
+              <Button
+                size="lg"
+                onClick={togglePlayPause}
+                className="bg-emerald-500 hover:bg-emerald-600 text-white rounded-full w-12 h-12 p-0"
+                data-testid="main-play-pause-btn"
+              >
+                {isLoading ? (
+                  <Loader2 className="w-6 h-6 animate-spin" />
+                ) : isPlaying ? (
+                  <Pause className="w-6 h-6" />
+                ) : (
+                  <Play className="w-6 h-6 ml-1" />
+                )}
+              </Button>
+              
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={playNext}
+                disabled={queue.length <= 1}
+                className="text-slate-600 hover:text-slate-900 disabled:opacity-50"
+                data-testid="next-btn"
+              >
+                <SkipForward className="w-5 h-5" />
+              </Button>
+              
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={toggleRepeat}
+                className={`${repeatMode !== 'off' ? 'text-emerald-600' : 'text-slate-600'} hover:text-emerald-700`}
+                title={REPEAT_LABELS[repeatMode]}
+                data-testid="repeat-btn"
+                data-repeat-mode={repeatMode}
+              >
+                {repeatMode === 'one' ? <Repeat1 className="w-4 h-4" /> : <Repeat className="w-4 h-4" />}
+              </Button>
+            </div>
+            
+            {/* Progress Bar */}
+            <WaveformSeekBar bookmarks={bookmarks} />
+          </div>
+          
+          {/* Volume & Extra Controls */}
+          <div className="flex items-center space-x-2 flex-1 justify-end">
+            <div className="relative">
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={toggleMute}
+                onMouseEnter={() => setShowVolumeSlider(true)}
+                className="text-slate-600 hover:text-slate-900"
+                data-testid="volume-btn"
+              >
+                {isMuted || volume === 0 ? <VolumeX className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
+              </Button>
+              
+              <AnimatePresence>
+                {showVolumeSlider && (
+                  <motion.div
+                    initial={{ opacity: 0, y: 10 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: 10 }}
+                    className="absolute bottom-full mb-2 left-1/2 transform -translate-x-1/2 bg-white rounded-lg shadow-lg border border-slate-200 p-3"
+                    onMouseLeave={() => setShowVolumeSlider(false)}
+                  >
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.1"
+                      value={volume}
+                      onChange={handleVolumeChange}
+                      className="w-20 h-2 bg-slate-200 rounded-lg appearance-none cursor-pointer slider"
+                      data-testid="volume-slider"
+                    />
+                  </motion.div>
+                )}
+              </AnimatePresence>
+            </div>
+            
+            {currentUser && (
+              <AddToPlaylistMenu song={currentSong} currentUser={currentUser}>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  className="text-slate-600 hover:text-slate-900"
+                  title="Add to playlist"
+                  data-testid="player-add-to-playlist-btn"
+                >
+                  <FolderPlus className="w-4 h-4" />
+                </Button>
+              </AddToPlaylistMenu>
+            )}
+            
+            <LoopBookmarksMenu
+              bookmarks={bookmarks}
+              onAddBookmark={addBookmark}
+              onRemoveBookmark={removeBookmark}
+            />
+            
+            <PlaybackSpeedMenu />
+            
+            <SleepTimerMenu />
+            
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => setIsQueueOpen(true)}
+              className="text-slate-600 hover:text-slate-900"
+              title="Show queue"
+              data-testid="queue-btn"
+            >
+              <ListMusic className="w-4 h-4" />
+              {queue.length > 1 && <span className="ml-1 text-xs">{queue.length}</span>}
+            </Button>
+            
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => setIsPlayerMinimized(true)}
               className="text-slate-600 hover:text-slate-700"
               data-testid="minimize-player-btn"
             >
-              <Music className="w-4 h-4" />
+              <Music className="w-4 h-4" />
+            </Button>
+          </div>
+        </div>
+      </div>
+      
+      <QueuePanel open={isQueueOpen} onOpenChange={setIsQueueOpen} />
+    </motion.div>
+  );
+};
+
+// Global player shortcuts, also listed in the "?" help dialog
+const PLAYER_SHORTCUTS = [
+  { keys: ['Space'], description: 'Play / pause' },
+  { keys: ['←', '→'], description: 'Seek 5 seconds (hold Shift for 15)' },
+  { keys: ['↑', '↓'], description: 'Volume up / down' },
+  { keys: ['N'], description: 'Next track' },
+  { keys: ['P'], description: 'Previous track' },
+  { keys: ['M'], description: 'Mute / unmute' },
+  { keys: ['S'], description: 'Toggle shuffle' },
+  { keys: ['R'], description: 'Cycle repeat mode' },
+  { keys: ['L'], description: 'Favorite the current song' },
+  { keys: ['?'], description: 'Show keyboard shortcuts' },
+];
+
+const isTypingTarget = (target) => {
+  if (!target) return false;
+  const tagName = target.tagName;
+  return tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT' || target.isContentEditable;
+};
+
+const PlayerShortcuts = ({ currentUser }) => {
+  const [showHelp, setShowHelp] = useState(false);
+  
+  const {
+    currentSong,
+    currentTime,
+    duration,
+    volume,
+    togglePlayPause,
+    playNext,
+    playPrevious,
+    seekTo,
+    setVolume,
+    toggleMute,
+    toggleShuffle,
+    toggleRepeat
+  } = useAudioPlayer();
+  
+  const queryClient = useQueryClient();
+  
+  const { data: userFavorites = [] } = useQuery(
+    ['userFavorites', currentUser?.id],
+    () => currentUser ? api.getUserFavorites(currentUser.id).then(res => res.data) : [],
+    { enabled: !!currentUser }
+  );
+  
+  const favoriteMutation = useMutation(
+    async (songId) => {
+      const isFavorite = userFavorites.some(f => f.song_id === songId);
+      if (isFavorite) {
+        await api.removeFavorite(currentUser.id, songId);
+      } else {
+        await api.createFavorite({ user_id: currentUser.id, song_id: songId });
+      }
+      return !isFavorite;
+    },
+    {
+      onSuccess: (isFavorite) => {
+        queryClient.invalidateQueries(['userFavorites', currentUser.id]);
+        queryClient.invalidateQueries(['recommendations', currentUser.id]);
+        toast.success(
+          isFavorite
+            ? `Added "${currentSong.name}" to favorites`
+            : `Removed "${currentSong.name}" from favorites`
+        );
+      },
+      onError: () => {
+        toast.error('Failed to update favorites');
+      }
+    }
+  );
+  
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (isTypingTarget(e.target)) return;
+      
+      if (e.key === '?') {
+        e.preventDefault();
+        setShowHelp(prev => !prev);
+        return;
+      }
+      
+      if (!currentSong) return;
+      
+      switch (e.key) {
+        case ' ':
+          // Let focused buttons and links handle their own activation
+          if (e.target.closest?.('button, a, [role="button"], [role="slider"]')) return;
+          e.preventDefault();
+          togglePlayPause();
+          break;
+        case 'ArrowLeft':
+          e.preventDefault();
+          seekTo(Math.max(currentTime - (e.shiftKey ? 15 : 5), 0));
+          break;
+        case 'ArrowRight':
+          e.preventDefault();
+          seekTo(Math.min(currentTime + (e.shiftKey ? 15 : 5), duration || currentTime));
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          setVolume(Math.min(Math.round((volume + 0.1) * 10) / 10, 1));
+          break;
+        case 'ArrowDown':
+          e.preventDefault();
+          setVolume(Math.max(Math.round((volume - 0.1) * 10) / 10, 0));
+          break;
+        case 'n':
+        case 'N':
+          playNext();
+          break;
+        case 'p':
+        case 'P':
+          playPrevious();
+          break;
+        case 'm':
+        case 'M':
+          toggleMute();
+          break;
+        case 's':
+        case 'S':
+          toggleShuffle();
+          break;
+        case 'r':
+        case 'R':
+          toggleRepeat();
+          break;
+        case 'l':
+        case 'L':
+          if (currentUser && !favoriteMutation.isLoading) {
+            favoriteMutation.mutate(currentSong.spotify_id || currentSong.id);
+          }
+          break;
+        default:
+          break;
+      }
+    };
+    
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [currentSong, currentTime, duration, volume, currentUser, favoriteMutation, togglePlayPause, playNext, playPrevious, seekTo, setVolume, toggleMute, toggleShuffle, toggleRepeat]);
+  
+  return (
+    <Dialog open={showHelp} onOpenChange={setShowHelp}>
+      <DialogContent className="sm:max-w-md" data-testid="shortcuts-dialog">
+        <DialogHeader>
+          <DialogTitle className="flex items-center">
+            <Keyboard className="w-5 h-5 mr-2 text-emerald-600" />
+            Keyboard Shortcuts
+          </DialogTitle>
+          <DialogDescription>
+            Shortcuts are ignored while you type in a search box or the chat.
+          </DialogDescription>
+        </DialogHeader>
+        <div className="divide-y divide-slate-100">
+          {PLAYER_SHORTCUTS.map((shortcut) => (
+            <div key={shortcut.description} className="flex items-center justify-between py-2">
+              <span className="text-sm text-slate-700">{shortcut.description}</span>
+              <div className="flex items-center space-x-1">
+                {shortcut.keys.map((key) => (
+                  <kbd
+                    key={key}
+                    className="min-w-[1.75rem] px-2 py-1 text-xs font-mono text-center text-slate-700 bg-slate-100 border border-slate-200 rounded"
+                  >
+                    {key}
+                  </kbd>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+const Navigation = ({ currentUser, onOpenChat }) => {
+  const location = useLocation();
+  
+  const navigationItems = [
+    { path: '/', icon: Home, label: 'Home', testId: 'nav-home' },
+    { path: '/discover', icon: Compass, label: 'Discover', testId: 'nav-discover' },
+    { path: '/playlists', icon: Music, label: 'Playlists', testId: 'nav-playlists' },
+    { path: '/my-music', icon: Library, label: 'My Music', testId: 'nav-my-music' },
+    { path: '/settings', icon: Settings, label: 'Settings', testId: 'nav-settings' },
+  ];
+  
+  return (
+    <nav className="bg-white/80 backdrop-blur-sm border-b border-slate-200 sticky top-0 z-40">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex items-center justify-between h-16">
+          {/* Logo */}
+          <Link to="/" className="flex items-center space-x-4">
+            <div className="w-8 h-8 bg-gradient-to-br from-emerald-400 to-cyan-500 rounded-lg flex items-center justify-center">
+              <Music className="w-5 h-5 text-white" />
+            </div>
+            <h1 className="text-xl font-bold text-slate-900">SoundScout</h1>
+          </Link>
+          
+          {/* Navigation Items */}
+          <div className="hidden md:flex items-center space-x-1">
+            {navigationItems.map((item) => {
+              const Icon = item.icon;
+              const isActive = location.pathname === item.path;
+              
+              return (
+                <Link
+                  key={item.path}
+                  to={item.path}
+                  data-testid={item.testId}
+                  className={`flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    isActive
+                      ? 'bg-emerald-100 text-emerald-700 border border-emerald-200'
+                      : 'text-slate-600 hover:text-slate-900 hover:bg-slate-100'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  <span>{item.label}</span>
+                </Link>
+              );
+            })}
+          </div>
+          
+          {/* User Profile */}
+          <div className="flex items-center space-x-4">
+            <Button 
+              variant="outline" 
+              size="sm" 
+              onClick={onOpenChat}
+              className="border-emerald-200 text-emerald-700 hover:bg-emerald-50 hidden sm:flex"
+              data-testid="nav-ask-ai-btn"
+            >
+              <MessageCircle className="w-4 h-4 mr-2" />
+              Ask AI
+            </Button>
+            <div className="flex items-center space-x-2 px-3 py-1 bg-emerald-50 rounded-full">
+              <Avatar className="w-6 h-6">
+                <AvatarFallback className="bg-emerald-100 text-emerald-700 text-xs">
+                  {currentUser?.name?.charAt(0)?.toUpperCase() || 'U'}
+                </AvatarFallback>
+              </Avatar>
+              <span className="text-sm text-emerald-700 font-medium hidden sm:block">
+                {currentUser?.name || 'User'}
+              </span>
+            </div>
+          </div>
+        </div>
+        
+        {/* Mobile Navigation */}
+        <div className="md:hidden border-t border-slate-200">
+          <div className="flex items-center justify-around py-2">
+            {navigationItems.map((item) => {
+              const Icon = item.icon;
+              const isActive = location.pathname === item.path;
+              
+              return (
+                <Link
+                  key={item.path}
+                  to={item.path}
+                  data-testid={`mobile-${item.testId}`}
+                  className={`flex flex-col items-center space-y-1 px-3 py-2 rounded-lg text-xs transition-colors ${
+                    isActive
+                      ? 'text-emerald-700 bg-emerald-50'
+                      : 'text-slate-600'
+                  }`}
+                >
+                  <Icon className="w-5 h-5" />
+                  <span>{item.label}</span>
+                </Link>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </nav>
+  );
+};
+
+// Offline downloads live in the react-query cache so every card, page and the
+// storage manager see the same list
+const useOfflineDownloads = () => {
+  const queryClient = useQueryClient();
+  
+  const { data: downloads = [] } = useQuery('downloads', getDownloads, {
+    staleTime: Infinity
+  });
+  const downloadedKeys = new Set(downloads.map(entry => entry.key));
+  
+  const downloadMutation = useMutation(
+    async ({ songs, collection }) => {
+      const toastId = toast.loading(
+        songs.length === 1 ? `Downloading "${songs[0].name}"...` : `Downloading ${songs.length} songs...`
+      );
+      const result = await downloadSongs(songs, collection, (done, total) => {
+        if (total > 1) {
+          toast.loading(`Downloading ${done} of ${total} songs...`, { id: toastId });
+        }
+      });
+      return { ...result, toastId, collection, total: songs.length };
+    },
+    {
+      onSuccess: ({ downloaded, failed, toastId, collection, total }) => {
+        queryClient.invalidateQueries('downloads');
+        if (downloaded === 0) {
+          toast.error(
+            total === 1
+              ? `No preview available to download for "${failed[0].name}"`
+              : `Couldn't download any songs from ${collection.name}`,
+            { id: toastId }
+          );
+        } else if (failed.length > 0) {
+          toast.success(`Downloaded ${downloaded} of ${total} songs from ${collection.name}. ${failed.length} had no preview.`, { id: toastId });
+        } else {
+          toast.success(
+            total === 1 ? 'Saved for offline listening' : `${collection.name} is available offline`,
+            { id: toastId }
+          );
+        }
+      }
+    }
+  );
+  
+  const removeMutation = useMutation(removeDownload, {
+    onSuccess: () => {
+      queryClient.invalidateQueries('downloads');
+      toast.success('Removed offline copy');
+    }
+  });
+  
+  // Purge one collection, or everything when no id is given
+  const purgeMutation = useMutation(
+    (collectionId) => (collectionId ? purgeCollection(collectionId) : clearDownloads()),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('downloads');
+        toast.success('Downloads removed');
+      }
+    }
+  );
+  
+  return {
+    downloads,
+    isDownloaded: (song) => downloadedKeys.has(getDownloadKey(song)),
+    hasCollection: (collectionId) => downloads.some(entry => entry.collections.some(c => c.id === collectionId)),
+    download: (songs, collection = SINGLE_SONGS_COLLECTION) => downloadMutation.mutate({ songs, collection }),
+    isDownloading: downloadMutation.isLoading,
+    remove: removeMutation.mutate,
+    isRemoving: removeMutation.isLoading,
+    purge: purgeMutation.mutate,
+    isPurging: purgeMutation.isLoading
+  };
+};
+
+// Export songs as a playlist file for desktop players
+const PlaylistExportMenu = ({ name, songs, testId = 'playlist' }) => {
+  const handleExport = (format) => {
+    const baseName = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'playlist';
+    downloadFile(
+      serializePlaylist(format.id, name, songs),
+      datedFileName(baseName, format.extension),
+      format.mimeType
+    );
+    toast.success(`Exported ${songs.length} songs as ${format.label}`);
+  };
+  
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={songs.length === 0}
+          className="border-emerald-200 text-emerald-700 hover:bg-emerald-50"
+          data-testid={`export-${testId}-btn`}
+        >
+          <FileDown className="w-4 h-4 mr-2" />
+          Export
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        {PLAYLIST_FORMATS.map(format => (
+          <DropdownMenuItem
+            key={format.id}
+            onSelect={() => handleExport(format)}
+            data-testid={`export-${testId}-${format.id}`}
+          >
+            {format.label} (.{format.extension})
+          </DropdownMenuItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+const searchCatalog = (query) => api.searchSongs({ query, limit: 5 }).then(res => res.data.songs || []);
+
+// Read an M3U8/XSPF file and match its tracks to catalog songs; `onImport`
+// receives `{ name, songs, unmatched }` and returns the success message
+const PlaylistImportButton = ({ onImport, label = 'Import', testId = 'playlist' }) => {
+  const fileInputRef = useRef(null);
+  const [isImporting, setIsImporting] = useState(false);
+  
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    let playlist;
+    try {
+      playlist = parsePlaylistFile(await file.text(), file.name);
+    } catch (error) {
+      toast.error(`Couldn't import ${file.name}: ${error.message}`);
+      return;
+    }
+    
+    setIsImporting(true);
+    const toastId = toast.loading(`Matching ${playlist.entries.length} tracks...`);
+    try {
+      const { matched, unmatched } = await resolvePlaylistEntries(playlist.entries, searchCatalog, {
+        onProgress: (done, total) => toast.loading(`Matching tracks (${done}/${total})...`, { id: toastId })
+      });
+      
+      if (matched.length === 0) {
+        toast.error(`None of the ${playlist.entries.length} tracks were found in the catalog`, { id: toastId });
+        return;
+      }
+      
+      const message = await onImport({ name: playlist.name, songs: matched, unmatched });
+      const missing = unmatched.length > 0
+        ? ` (${unmatched.length} not found: ${unmatched.slice(0, 3).map(entry => entry.title).join(', ')}${unmatched.length > 3 ? '...' : ''})`
+        : '';
+      toast.success(`${message}${missing}`, { id: toastId });
+    } catch (error) {
+      toast.error(`Import failed: ${error.message}`, { id: toastId });
+    } finally {
+      setIsImporting(false);
+    }
+  };
+  
+  return (
+    <>
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => fileInputRef.current?.click()}
+        disabled={isImporting}
+        className="border-emerald-200 text-emerald-700 hover:bg-emerald-50"
+        data-testid={`import-${testId}-btn`}
+      >
+        {isImporting ? (
+          <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+        ) : (
+          <Upload className="w-4 h-4 mr-2" />
+        )}
+        {label}
+      </Button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".m3u,.m3u8,.xspf,audio/x-mpegurl,application/xspf+xml"
+        className="hidden"
+        onChange={handleFileChange}
+        data-testid={`import-${testId}-input`}
+      />
+    </>
+  );
+};
+
+// Download or remove a whole collection for offline listening
+const OfflineCollectionButton = ({ songs, collection }) => {
+  const { hasCollection, download, isDownloading, purge, isPurging } = useOfflineDownloads();
+  const isSaved = hasCollection(collection.id);
+  
+  if (isSaved) {
+    return (
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => purge(collection.id)}
+        disabled={isPurging}
+        className="border-emerald-200 text-emerald-700 hover:bg-emerald-50"
+        title="Remove the offline copies of these songs"
+        data-testid={`remove-offline-${collection.id}`}
+      >
+        <HardDrive className="w-4 h-4 mr-2" />
+        Downloaded
+      </Button>
+    );
+  }
+  
+  return (
+    <Button
+      variant="outline"
+      size="sm"
+      onClick={() => download(songs, collection)}
+      disabled={isDownloading || songs.length === 0}
+      className="border-emerald-200 text-emerald-700 hover:bg-emerald-50"
+      data-testid={`download-offline-${collection.id}`}
+    >
+      {isDownloading ? (
+        <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+      ) : (
+        <Download className="w-4 h-4 mr-2" />
+      )}
+      {isDownloading ? 'Downloading...' : 'Download'}
+    </Button>
+  );
+};
+
+const isSameSong = (a, b) => (
+  a.spotify_id ? a.spotify_id === b.spotify_id : a.id === b.id
+);
+
+// The user's own playlists. Updates are applied to the cache right away so
+// renames and reordering don't wait for the backend.
+const useUserPlaylists = (currentUser) => {
+  const queryClient = useQueryClient();
+  const queryKey = ['userPlaylists', currentUser?.id];
+  
+  const { data: playlists = [], isLoading } = useQuery(
+    queryKey,
+    () => currentUser ? api.getUserPlaylists(currentUser.id).then(res => res.data) : [],
+    { enabled: !!currentUser }
+  );
+  
+  const createMutation = useMutation(
+    ({ name, description = '', songs = [] }) => api.createUserPlaylist({
+      user_id: currentUser.id,
+      name,
+      description,
+      songs
+    }).then(res => res.data),
+    {
+      onSuccess: (playlist) => {
+        toast.success(`Created "${playlist.name}"`);
+      },
+      onError: () => {
+        toast.error('Failed to create playlist');
+      },
+      onSettled: () => {
+        queryClient.invalidateQueries(queryKey);
+      }
+    }
+  );
+  
+  const updateMutation = useMutation(
+    ({ playlist, updates }) => api.updateUserPlaylist(playlist.id, updates).then(res => res.data),
+    {
+      onMutate: async ({ playlist, updates }) => {
+        await queryClient.cancelQueries(queryKey);
+        const previous = queryClient.getQueryData(queryKey);
+        queryClient.setQueryData(queryKey, (current = []) => current.map(p => (
+          p.id === playlist.id ? { ...p, ...updates } : p
+        )));
+        return { previous };
+      },
+      onError: (error, variables, context) => {
+        queryClient.setQueryData(queryKey, context.previous);
+        toast.error('Failed to update playlist');
+      },
+      onSettled: () => {
+        queryClient.invalidateQueries(queryKey);
+      }
+    }
+  );
+  
+  const deleteMutation = useMutation(
+    (playlist) => api.deleteUserPlaylist(playlist.id),
+    {
+      onSuccess: (_, playlist) => {
+        toast.success(`Deleted "${playlist.name}"`);
+      },
+      onError: () => {
+        toast.error('Failed to delete playlist');
+      },
+      onSettled: () => {
+        queryClient.invalidateQueries(queryKey);
+      }
+    }
+  );
+  
+  // Failures are reported in onError, so callers don't need to handle them
+  const updatePlaylist = (playlist, updates, options) => updateMutation.mutate({ playlist, updates }, options);
+  
+  const deletePlaylist = (playlist, options) => deleteMutation.mutate(playlist, options);
+  
+  const toggleSong = (playlist, song) => {
+    const songs = playlist.songs || [];
+    if (songs.some(s => isSameSong(s, song))) {
+      updatePlaylist(playlist, { songs: songs.filter(s => !isSameSong(s, song)) }, {
+        onSuccess: () => toast.success(`Removed "${song.name}" from ${playlist.name}`)
+      });
+    } else {
+      updatePlaylist(playlist, { songs: [...songs, song] }, {
+        onSuccess: () => toast.success(`Added "${song.name}" to ${playlist.name}`)
+      });
+    }
+  };
+  
+  return {
+    playlists,
+    isLoading,
+    createPlaylist: createMutation.mutateAsync,
+    isCreating: createMutation.isLoading,
+    updatePlaylist,
+    // For forms that stay open until the save succeeds
+    updatePlaylistAsync: (playlist, updates) => updateMutation.mutateAsync({ playlist, updates }),
+    deletePlaylist,
+    isDeleting: deleteMutation.isLoading,
+    toggleSong
+  };
+};
+
+// Name and description form, for creating and editing a personal playlist
+const PlaylistFormDialog = ({ open, onOpenChange, playlist = null, onSubmit, isSaving = false }) => {
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  
+  useEffect(() => {
+    if (open) {
+      setName(playlist?.name || '');
+      setDescription(playlist?.description || '');
+    }
+  }, [open, playlist]);
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    try {
+      await onSubmit({ name: name.trim(), description: description.trim() });
+      onOpenChange(false);
+    } catch (error) {
+      // The mutation already reported it
+    }
+  };
+  
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md" data-testid="playlist-form-dialog">
+        <DialogHeader>
+          <DialogTitle>{playlist ? 'Edit playlist' : 'New playlist'}</DialogTitle>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="text-sm font-medium text-slate-700">Name</label>
+            <Input
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="My playlist"
+              maxLength={100}
+              autoFocus
+              className="mt-1 bg-white/50 border-slate-200"
+              data-testid="playlist-name-input"
+            />
+          </div>
+          <div>
+            <label className="text-sm font-medium text-slate-700">Description</label>
+            <Textarea
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              placeholder="What's this playlist for?"
+              maxLength={300}
+              className="mt-1 min-h-[80px] resize-none bg-white/50 border-slate-200"
+              data-testid="playlist-description-input"
+            />
+          </div>
+          <div className="flex justify-end space-x-2">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={!name.trim() || isSaving}
+              className="bg-emerald-500 hover:bg-emerald-600 text-white"
+              data-testid="save-playlist-btn"
+            >
+              {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {playlist ? 'Save' : 'Create'}
             </Button>
           </div>
-        </div>
-      </div>
-    </motion.div>
+        </form>
+      </DialogContent>
+    </Dialog>
   );
 };
 
-const Navigation = ({ currentUser, onOpenChat }) => {
-  const location = useLocation();
+// Menu of the user's playlists; picking one adds `song` to it, or removes it
+// when it's already there. `children` is the trigger.
+const AddToPlaylistMenu = ({ song, currentUser, children, align = 'end' }) => {
+  const { playlists, createPlaylist, isCreating, toggleSong } = useUserPlaylists(currentUser);
+  const [isCreateOpen, setIsCreateOpen] = useState(false);
   
-  const navigationItems = [
-    { path: '/', icon: Home, label: 'Home', testId: 'nav-home' },
-    { path: '/discover', icon: Compass, label: 'Discover', testId: 'nav-discover' },
-    { path: '/playlists', icon: Music, label: 'Playlists', testId: 'nav-playlists' },
-    { path: '/my-music', icon: Library, label: 'My Music', testId: 'nav-my-music' },
-    { path: '/settings', icon: Settings, label: 'Settings', testId: 'nav-settings' },
-  ];
+  const handleCreate = (details) => createPlaylist({ ...details, songs: [song] });
   
   return (
-    <nav className="bg-white/80 backdrop-blur-sm border-b border-slate-200 sticky top-0 z-40">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="flex items-center justify-between h-16">
-          {/* Logo */}
-          <Link to="/" className="flex items-center space-x-4">
-            <div className="w-8 h-8 bg-gradient-to-br from-emerald-400 to-cyan-500 rounded-lg flex items-center justify-center">
-              <Music className="w-5 h-5 text-white" />
-            </div>
-            <h1 className="text-xl font-bold text-slate-900">SoundScout</h1>
-          </Link>
-          
-          {/* Navigation Items */}
-          <div className="hidden md:flex items-center space-x-1">
-            {navigationItems.map((item) => {
-              const Icon = item.icon;
-              const isActive = location.pathname === item.path;
-              
-              return (
-                <Link
-                  key={item.path}
-                  to={item.path}
-                  data-testid={item.testId}
-                  className={`flex items-center space-x-2 px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
-                    isActive
-                      ? 'bg-emerald-100 text-emerald-700 border border-emerald-200'
-                      : 'text-slate-600 hover:text-slate-900 hover:bg-slate-100'
-                  }`}
-                >
-                  <Icon className="w-4 h-4" />
-                  <span>{item.label}</span>
-                </Link>
-              );
-            })}
-          </div>
-          
-          {/* User Profile */}
-          <div className="flex items-center space-x-4">
-            <Button 
-              variant="outline" 
-              size="sm" 
-              onClick={onOpenChat}
-              className="border-emerald-200 text-emerald-700 hover:bg-emerald-50 hidden sm:flex"
-              data-testid="nav-ask-ai-btn"
+    <>
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          {children}
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align={align} className="w-56">
+          <DropdownMenuLabel>Add to playlist</DropdownMenuLabel>
+          <DropdownMenuSeparator />
+          {playlists.map(playlist => (
+            <DropdownMenuItem
+              key={playlist.id}
+              onSelect={() => toggleSong(playlist, song)}
+              data-testid={`add-to-playlist-${playlist.id}`}
             >
-              <MessageCircle className="w-4 h-4 mr-2" />
-              Ask AI
-            </Button>
-            <div className="flex items-center space-x-2 px-3 py-1 bg-emerald-50 rounded-full">
-              <Avatar className="w-6 h-6">
-                <AvatarFallback className="bg-emerald-100 text-emerald-700 text-xs">
-                  {currentUser?.name?.charAt(0)?.toUpperCase() || 'U'}
-                </AvatarFallback>
-              </Avatar>
-              <span className="text-sm text-emerald-700 font-medium hidden sm:block">
-                {currentUser?.name || 'User'}
-              </span>
-            </div>
-          </div>
-        </div>
-        
-        {/* Mobile Navigation */}
-        <div className="md:hidden border-t border-slate-200">
-          <div className="flex items-center justify-around py-2">
-            {navigationItems.map((item) => {
-              const Icon = item.icon;
-              const isActive = location.pathname === item.path;
-              
-              return (
-                <Link
-                  key={item.path}
-                  to={item.path}
-                  data-testid={`mobile-${item.testId}`}
-                  className={`flex flex-col items-center space-y-1 px-3 py-2 rounded-lg text-xs transition-colors ${
-                    isActive
-                      ? 'text-emerald-700 bg-emerald-50'
-                      : 'text-slate-600'
-                  }`}
-                >
-                  <Icon className="w-5 h-5" />
-                  <span>{item.label}</span>
-                </Link>
-              );
-            })}
-          </div>
-        </div>
-      </div>
-    </nav>
+              <span className="truncate">{playlist.name}</span>
+              {(playlist.songs || []).some(s => isSameSong(s, song)) && (
+                <Check className="w-4 h-4 ml-auto text-emerald-600" />
+              )}
+            </DropdownMenuItem>
+          ))}
+          {playlists.length > 0 && <DropdownMenuSeparator />}
+          <DropdownMenuItem onSelect={() => setIsCreateOpen(true)} data-testid="new-playlist-from-song">
+            <Plus className="w-4 h-4 mr-2" />
+            New playlist...
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+      
+      <PlaylistFormDialog
+        open={isCreateOpen}
+        onOpenChange={setIsCreateOpen}
+        onSubmit={handleCreate}
+        isSaving={isCreating}
+      />
+    </>
   );
 };
 
@@ -1101,11 +3678,14 @@ const SongCard = ({ song, onRate, onToggleFavorite, currentUser, userRatings = [
   const [isRating, setIsRating] = useState(false);
   const [isToggling, setIsToggling] = useState(false);
   
-  const { playSong, currentSong, isPlaying } = useAudioPlayer();
+  const { playSong, togglePlayPause, currentSong, status, isPlaying, insertNext, addToQueue, demoMode } = useAudioPlayer();
+  const { isDownloaded, download, isDownloading, remove, isRemoving } = useOfflineDownloads();
+  const isOffline = isDownloaded(song);
   
   const currentRating = userRatings.find(r => r.song_id === song.spotify_id || r.song_id === song.id);
   const isFavorite = userFavorites.some(f => f.song_id === song.spotify_id || f.song_id === song.id);
   const isCurrentSong = currentSong?.spotify_id === song.spotify_id;
+  const isLoadingSong = isCurrentSong && (LOADING_STATUSES.includes(status) || status === 'buffering');
   
   const handleRate = async (rating) => {
     if (!currentUser || isRating) return;
@@ -1138,6 +3718,12 @@ const SongCard = ({ song, onRate, onToggleFavorite, currentUser, userRatings = [
   };
   
   const handlePlaySong = () => {
+    // The overlay shows pause while this song plays or loads; clicking it pauses or cancels
+    if (isCurrentSong && (isPlaying || isLoadingSong)) {
+      togglePlayPause();
+      return;
+    }
+    
     if (playlist && playlist.songs) {
       // Play song with entire playlist as queue
       const songIndex = playlist.songs.findIndex(s => s.spotify_id === song.spotify_id);
@@ -1178,11 +3764,15 @@ const SongCard = ({ song, onRate, onToggleFavorite, currentUser, userRatings = [
               {/* Play Button Overlay */}
               <button
                 onClick={handlePlaySong}
-                className="absolute inset-0 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity duration-300 hover:scale-110"
+                className={`absolute inset-0 flex items-center justify-center ${isLoadingSong ? 'opacity-100' : 'opacity-0'} group-hover:opacity-100 transition-opacity duration-300 hover:scale-110`}
                 data-testid={`play-song-${song.spotify_id}`}
-                title="Play preview"
+                title={demoMode ? 'Play demo clip' : 'Play preview'}
               >
-                {isCurrentSong && isPlaying ? (
+                {isLoadingSong ? (
+                  <div className="w-8 h-8 bg-white/90 rounded-full flex items-center justify-center" data-testid={`song-loading-${song.spotify_id}`}>
+                    <Loader2 className="w-4 h-4 text-emerald-600 animate-spin" />
+                  </div>
+                ) : isCurrentSong && isPlaying ? (
                   <div className="w-8 h-8 bg-white/90 rounded-full flex items-center justify-center">
                     <Pause className="w-4 h-4 text-emerald-600" />
                   </div>
@@ -1210,12 +3800,68 @@ const SongCard = ({ song, onRate, onToggleFavorite, currentUser, userRatings = [
               <p className="text-sm text-slate-600 truncate mb-2">
                 {song.artist}
               </p>
-              <div className="flex flex-wrap gap-1 mb-3">
+              <div className="flex flex-wrap items-center gap-1 mb-3">
                 {song.genres?.slice(0, 2).map((genre, index) => (
                   <Badge key={index} variant="secondary" className="text-xs capitalize bg-emerald-50 text-emerald-700 hover:bg-emerald-100">
                     {genre}
                   </Badge>
                 ))}
+                {isOffline && (
+                  <Badge
+                    variant="secondary"
+                    className="text-xs bg-cyan-50 text-cyan-700 hover:bg-cyan-100"
+                    data-testid={`downloaded-badge-${song.spotify_id}`}
+                  >
+                    <HardDrive className="w-3 h-3 mr-1" />
+                    Downloaded
+                  </Badge>
+                )}
+                
+                {/* Queue Actions */}
+                <div className="ml-auto flex items-center opacity-0 group-hover:opacity-100 transition-opacity">
+                  <button
+                    onClick={() => insertNext(song)}
+                    className="p-1 text-slate-400 hover:text-emerald-600 transition-colors"
+                    title="Play next"
+                    data-testid={`play-next-${song.spotify_id}`}
+                  >
+                    <ListPlus className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => addToQueue(song)}
+                    className="p-1 text-slate-400 hover:text-emerald-600 transition-colors"
+                    title="Add to end of queue"
+                    data-testid={`add-to-queue-${song.spotify_id}`}
+                  >
+                    <ListEnd className="w-4 h-4" />
+                  </button>
+                  {currentUser && (
+                    <AddToPlaylistMenu song={song} currentUser={currentUser}>
+                      <button
+                        className="p-1 text-slate-400 hover:text-emerald-600 transition-colors"
+                        title="Add to playlist"
+                        data-testid={`add-to-playlist-${song.spotify_id}`}
+                      >
+                        <FolderPlus className="w-4 h-4" />
+                      </button>
+                    </AddToPlaylistMenu>
+                  )}
+                  <button
+                    onClick={() => (isOffline ? remove(song) : download([song]))}
+                    disabled={isDownloading || isRemoving}
+                    className="p-1 text-slate-400 hover:text-emerald-600 transition-colors disabled:opacity-50"
+                    title={isOffline ? 'Remove offline copy' : 'Download for offline listening'}
+                    data-testid={`toggle-download-${song.spotify_id}`}
+                  >
+                    {isDownloading ? (
+                      <Loader2 className="w-4 h-4 animate-spin" />
+                    ) : isOffline ? (
+                      <Trash2 className="w-4 h-4" />
+                    ) : (
+                      <Download className="w-4 h-4" />
+                    )}
+                  </button>
+                </div>
               </div>
               
               {showActions && currentUser && (
@@ -1759,12 +4405,241 @@ const PlaylistCard = ({ playlist, onSelectPlaylist }) => {
   );
 };
 
+// A personal playlist: play, edit details, reorder and remove songs, delete
+const UserPlaylistView = ({ playlist, currentUser, onBack }) => {
+  const { updatePlaylist, updatePlaylistAsync, deletePlaylist, isDeleting } = useUserPlaylists(currentUser);
+  const { playSong, currentSong, isPlaying } = useAudioPlayer();
+  const [isEditOpen, setIsEditOpen] = useState(false);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  
+  const songs = playlist.songs || [];
+  
+  const moveSong = (from, to) => {
+    if (from === to) return;
+    const reordered = [...songs];
+    const [moved] = reordered.splice(from, 1);
+    reordered.splice(to, 0, moved);
+    updatePlaylist(playlist, { songs: reordered });
+  };
+  
+  const removeSong = (index) => {
+    updatePlaylist(playlist, { songs: songs.filter((_, i) => i !== index) });
+  };
+  
+  const handleDelete = () => {
+    deletePlaylist(playlist, { onSuccess: onBack });
+  };
+  
+  const handleDragEnd = () => {
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+  
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-cyan-50 to-blue-50">
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        {/* Playlist Header */}
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <Button 
+            variant="outline" 
+            onClick={onBack}
+            className="mb-4 border-emerald-200 text-emerald-700 hover:bg-emerald-50"
+            data-testid="back-to-playlists-btn"
+          >
+            ← Back to Playlists
+          </Button>
+          
+          <div className="flex items-start space-x-6">
+            <div className="w-32 h-32 rounded-xl overflow-hidden bg-gradient-to-br from-emerald-400 to-cyan-500 flex-shrink-0 flex items-center justify-center">
+              {songs[0]?.image_url ? (
+                <img src={songs[0].image_url} alt={playlist.name} className="w-full h-full object-cover" />
+              ) : (
+                <ListMusic className="w-16 h-16 text-white" />
+              )}
+            </div>
+            
+            <div className="flex-1 min-w-0">
+              <h1 className="text-4xl font-bold text-slate-900 mb-2 truncate" data-testid="user-playlist-name">
+                {playlist.name}
+              </h1>
+              <p className="text-lg text-slate-600 mb-4">
+                {playlist.description || 'No description'}
+              </p>
+              <div className="flex flex-wrap items-center gap-3 text-sm text-slate-500">
+                <span className="flex items-center">
+                  <Music className="w-4 h-4 mr-1" />
+                  {songs.length} songs
+                </span>
+                <Button
+                  size="sm"
+                  onClick={() => playSong(songs[0], songs, 0)}
+                  disabled={songs.length === 0}
+                  className="bg-emerald-500 hover:bg-emerald-600 text-white"
+                  data-testid="play-user-playlist-btn"
+                >
+                  <Play className="w-4 h-4 mr-2" />
+                  Play
+                </Button>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setIsEditOpen(true)}
+                  className="border-emerald-200 text-emerald-700 hover:bg-emerald-50"
+                  data-testid="edit-user-playlist-btn"
+                >
+                  <Pencil className="w-4 h-4 mr-2" />
+                  Edit
+                </Button>
+                <PlaylistExportMenu name={playlist.name} songs={songs} testId="user-playlist" />
+                <OfflineCollectionButton songs={songs} collection={playlistCollection(playlist)} />
+                <AlertDialog>
+                  <AlertDialogTrigger asChild>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={isDeleting}
+                      className="border-slate-200 text-slate-700 hover:text-red-600"
+                      data-testid="delete-user-playlist-btn"
+                    >
+                      <Trash2 className="w-4 h-4 mr-2" />
+                      Delete
+                    </Button>
+                  </AlertDialogTrigger>
+                  <AlertDialogContent>
+                    <AlertDialogHeader>
+                      <AlertDialogTitle>Delete "{playlist.name}"?</AlertDialogTitle>
+                      <AlertDialogDescription>
+                        The playlist and its song order are removed for good. The songs stay in the catalog.
+                      </AlertDialogDescription>
+                    </AlertDialogHeader>
+                    <AlertDialogFooter>
+                      <AlertDialogCancel>Cancel</AlertDialogCancel>
+                      <AlertDialogAction
+                        onClick={handleDelete}
+                        className="bg-red-600 hover:bg-red-700 text-white"
+                        data-testid="confirm-delete-user-playlist-btn"
+                      >
+                        Delete
+                      </AlertDialogAction>
+                    </AlertDialogFooter>
+                  </AlertDialogContent>
+                </AlertDialog>
+              </div>
+            </div>
+          </div>
+        </motion.div>
+        
+        {/* Playlist Songs */}
+        <section>
+          <h2 className="text-2xl font-bold text-slate-900 mb-6">Songs</h2>
+          
+          {songs.length > 0 ? (
+            <Card className="bg-white/80 backdrop-blur-sm border-slate-200">
+              <CardContent className="p-2 space-y-1">
+                {songs.map((song, index) => {
+                  const isCurrent = currentSong && isSameSong(currentSong, song);
+                  return (
+                    <div
+                      key={`${song.spotify_id || song.id}-${index}`}
+                      draggable
+                      onDragStart={(e) => {
+                        e.dataTransfer.effectAllowed = 'move';
+                        setDragIndex(index);
+                      }}
+                      onDragOver={(e) => {
+                        e.preventDefault();
+                        e.dataTransfer.dropEffect = 'move';
+                        setDropIndex(index);
+                      }}
+                      onDrop={(e) => {
+                        e.preventDefault();
+                        if (dragIndex !== null) {
+                          moveSong(dragIndex, index);
+                        }
+                        handleDragEnd();
+                      }}
+                      onDragEnd={handleDragEnd}
+                      onClick={() => playSong(song, songs, index)}
+                      className={`group flex items-center space-x-3 p-2 rounded-lg cursor-pointer transition-colors ${
+                        isCurrent ? 'bg-emerald-50 border border-emerald-200' : 'hover:bg-slate-50 border border-transparent'
+                      } ${dragIndex === index ? 'opacity-50' : ''} ${
+                        dropIndex === index && dragIndex !== index ? 'border-t-2 border-t-emerald-400' : ''
+                      }`}
+                      data-testid={`user-playlist-song-${index}`}
+                    >
+                      <GripVertical className="w-4 h-4 text-slate-300 group-hover:text-slate-500 cursor-grab flex-shrink-0" />
+                      <span className="w-6 text-right text-xs text-slate-400 tabular-nums">{index + 1}</span>
+                      
+                      <div className="w-10 h-10 rounded-md overflow-hidden bg-gradient-to-br from-emerald-400 to-cyan-500 flex-shrink-0">
+                        {song.image_url ? (
+                          <img src={song.image_url} alt={song.name} className="w-full h-full object-cover" />
+                        ) : (
+                          <Music className="w-5 h-5 text-white m-2.5" />
+                        )}
+                      </div>
+                      
+                      <div className="flex-1 min-w-0">
+                        <p className={`text-sm font-medium truncate ${isCurrent ? 'text-emerald-700' : 'text-slate-900'}`}>
+                          {song.name}
+                        </p>
+                        <p className="text-xs text-slate-600 truncate">{song.artist}</p>
+                      </div>
+                      
+                      {isCurrent && (
+                        <div className={`w-2 h-2 rounded-full bg-emerald-500 flex-shrink-0 ${isPlaying ? 'animate-pulse' : ''}`} />
+                      )}
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          removeSong(index);
+                        }}
+                        className="p-1 text-slate-400 opacity-0 group-hover:opacity-100 hover:text-red-500 transition-opacity"
+                        title="Remove from playlist"
+                        data-testid={`remove-user-playlist-song-${index}`}
+                      >
+                        <X className="w-4 h-4" />
+                      </button>
+                    </div>
+                  );
+                })}
+              </CardContent>
+            </Card>
+          ) : (
+            <Card className="p-12 text-center bg-gradient-to-br from-slate-50 to-white border-slate-200">
+              <FolderPlus className="w-12 h-12 text-slate-300 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-slate-900 mb-2">No songs yet</h3>
+              <p className="text-slate-600">Use the add to playlist button on any song to fill this playlist.</p>
+            </Card>
+          )}
+        </section>
+      </main>
+      
+      <PlaylistFormDialog
+        open={isEditOpen}
+        onOpenChange={setIsEditOpen}
+        playlist={playlist}
+        onSubmit={(details) => updatePlaylistAsync(playlist, details)}
+      />
+    </div>
+  );
+};
+
 const PlaylistsPage = ({ currentUser }) => {
   const [selectedPlaylist, setSelectedPlaylist] = useState(null);
+  const [selectedUserPlaylistId, setSelectedUserPlaylistId] = useState(null);
+  const [isCreateOpen, setIsCreateOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [isSearching, setIsSearching] = useState(false);
   
   const queryClient = useQueryClient();
+  const { playlists: userPlaylists, createPlaylist, isCreating } = useUserPlaylists(currentUser);
+  // Looked up by id so edits show up without reselecting
+  const selectedUserPlaylist = userPlaylists.find(p => p.id === selectedUserPlaylistId);
   
   // Fetch all playlists
   const { data: playlistsData, isLoading: playlistsLoading } = useQuery(
@@ -1857,6 +4732,16 @@ const PlaylistsPage = ({ currentUser }) => {
     "Collections": ["Road Trip", "Throwback Hits"]
   };
   
+  if (selectedUserPlaylist) {
+    return (
+      <UserPlaylistView
+        playlist={selectedUserPlaylist}
+        currentUser={currentUser}
+        onBack={() => setSelectedUserPlaylistId(null)}
+      />
+    );
+  }
+  
   if (selectedPlaylist) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-cyan-50 to-blue-50">
@@ -1905,6 +4790,15 @@ const PlaylistsPage = ({ currentUser }) => {
                     <PlayCircle className="w-4 h-4 mr-1" />
                     Ready to play
                   </span>
+                  <OfflineCollectionButton
+                    songs={selectedPlaylist.songs || []}
+                    collection={playlistCollection(selectedPlaylist)}
+                  />
+                  <PlaylistExportMenu
+                    name={selectedPlaylist.name}
+                    songs={selectedPlaylist.songs || []}
+                    testId="playlist"
+                  />
                 </div>
               </div>
             </div>
@@ -1987,6 +4881,68 @@ const PlaylistsPage = ({ currentUser }) => {
           </div>
         </div>
         
+        {/* My Playlists */}
+        {currentUser && !searchQuery && (
+          <section className="mb-12" data-testid="my-playlists-section">
+            <h2 className="text-2xl font-bold text-slate-900 mb-6 flex items-center">
+              <ListMusic className="w-6 h-6 mr-3 text-emerald-600" />
+              My Playlists
+              <Badge className="ml-3 bg-emerald-100 text-emerald-800">
+                {userPlaylists.length} playlists
+              </Badge>
+              <div className="ml-auto flex items-center gap-2">
+                <PlaylistImportButton
+                  testId="user-playlist"
+                  onImport={async ({ name, songs }) => {
+                    await createPlaylist({ name, songs });
+                    return `Imported ${songs.length} songs into "${name}"`;
+                  }}
+                />
+                <Button
+                  size="sm"
+                  onClick={() => setIsCreateOpen(true)}
+                  className="bg-emerald-500 hover:bg-emerald-600 text-white"
+                  data-testid="new-playlist-btn"
+                >
+                  <Plus className="w-4 h-4 mr-2" />
+                  New Playlist
+                </Button>
+              </div>
+            </h2>
+            
+            {userPlaylists.length > 0 ? (
+              <motion.div 
+                className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6"
+                initial={{ opacity: 0 }}
+                animate={{ opacity: 1 }}
+                transition={{ staggerChildren: 0.1 }}
+              >
+                {userPlaylists.map(playlist => (
+                  <PlaylistCard
+                    key={playlist.id}
+                    playlist={playlist}
+                    onSelectPlaylist={(p) => setSelectedUserPlaylistId(p.id)}
+                  />
+                ))}
+              </motion.div>
+            ) : (
+              <Card className="p-8 text-center bg-gradient-to-br from-slate-50 to-white border-dashed border-slate-300">
+                <ListMusic className="w-10 h-10 text-slate-300 mx-auto mb-3" />
+                <p className="text-slate-600">
+                  Make your own playlists here, or add songs to one from any song card.
+                </p>
+              </Card>
+            )}
+            
+            <PlaylistFormDialog
+              open={isCreateOpen}
+              onOpenChange={setIsCreateOpen}
+              onSubmit={createPlaylist}
+              isSaving={isCreating}
+            />
+          </section>
+        )}
+        
         {playlistsLoading ? (
           <LoadingSpinner />
         ) : playlistsData?.playlists?.length > 0 ? (
@@ -2249,8 +5205,112 @@ const DiscoverPage = ({ currentUser, setShowChat }) => {
             <p className="text-slate-600">Choose a genre above to discover amazing music!</p>
           </div>
         )}
-      </main>
-    </div>
+      </main>
+    </div>
+  );
+};
+
+const RECENTLY_PLAYED_LIMIT = 12;
+
+const RecentlyPlayedSection = ({ currentUser }) => {
+  const { playSong, formatTime } = useAudioPlayer();
+  const queryClient = useQueryClient();
+  
+  const { data: history = [] } = useQuery(
+    ['history', currentUser?.id],
+    () => getHistory(currentUser?.id),
+    { staleTime: Infinity }
+  );
+  const recentPlays = history.slice(0, RECENTLY_PLAYED_LIMIT);
+  
+  const clearMutation = useMutation(
+    async () => {
+      clearHistory(currentUser?.id);
+      await api.clearUserHistory(currentUser?.id);
+    },
+    {
+      onSuccess: () => {
+        toast.success('Listening history cleared');
+      },
+      onError: () => {
+        toast.error('History cleared on this device, but the server copy could not be removed');
+      },
+      onSettled: () => {
+        queryClient.invalidateQueries(['history', currentUser?.id]);
+      }
+    }
+  );
+  
+  return (
+    <section className="mb-12" data-testid="recently-played-section">
+      <h2 className="text-2xl font-bold text-slate-900 mb-6 flex items-center">
+        <History className="w-6 h-6 mr-3 text-cyan-600" />
+        Recently Played
+        {history.length > 0 && (
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => clearMutation.mutate()}
+            disabled={clearMutation.isLoading}
+            className="ml-auto hover:text-red-600"
+            data-testid="clear-history-btn"
+          >
+            <Trash2 className="w-4 h-4 mr-2" />
+            Clear History
+          </Button>
+        )}
+      </h2>
+      
+      {recentPlays.length > 0 ? (
+        <Card className="bg-white/80 backdrop-blur-sm border-slate-200">
+          <CardContent className="p-2 divide-y divide-slate-100">
+            {recentPlays.map(play => (
+              <div key={play.id} className="flex items-center space-x-3 p-2" data-testid={`history-entry-${play.id}`}>
+                <div className="w-10 h-10 rounded overflow-hidden bg-gradient-to-br from-emerald-400 to-cyan-500 flex-shrink-0">
+                  {play.song.image_url ? (
+                    <img src={play.song.image_url} alt={play.song.name} className="w-full h-full object-cover" />
+                  ) : (
+                    <Music className="w-5 h-5 text-white m-2.5" />
+                  )}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm font-medium text-slate-900 truncate">{play.song.name}</p>
+                  <p className="text-xs text-slate-500 truncate">
+                    {play.song.artist}
+                    {' · '}{formatTimeAgo(Date.parse(play.started_at))}
+                    {play.source && ` · from ${HISTORY_SOURCES[play.source]}`}
+                  </p>
+                </div>
+                <div className="text-right text-xs text-slate-500 tabular-nums hidden sm:block">
+                  {play.skipped ? (
+                    <Badge variant="outline" className="text-amber-700 border-amber-200">Skipped</Badge>
+                  ) : (
+                    <span>{Math.round(play.completion * 100)}%</span>
+                  )}
+                  <div>{formatTime(play.seconds_listened)} listened</div>
+                </div>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => playSong(play.song)}
+                  className="text-emerald-600 hover:text-emerald-700 hover:bg-emerald-50"
+                  title={`Replay "${play.song.name}"`}
+                  data-testid={`replay-${play.id}`}
+                >
+                  <RotateCcw className="w-4 h-4" />
+                </Button>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      ) : (
+        <Card className="p-12 text-center bg-gradient-to-br from-slate-50 to-white border-slate-200">
+          <History className="w-12 h-12 text-slate-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-slate-900 mb-2">Nothing played yet</h3>
+          <p className="text-slate-600">Songs you listen to will show up here.</p>
+        </Card>
+      )}
+    </section>
   );
 };
 
@@ -2304,6 +5364,35 @@ const MyMusicPage = ({ currentUser, setShowChat }) => {
     return favoriteMutation.mutateAsync(songId);
   };
   
+  // Favorite every matched song that isn't one already
+  const handleImportFavorites = async ({ songs }) => {
+    const existing = new Set(userFavorites.map(f => f.song_id));
+    let added = 0;
+    let failed = 0;
+    
+    try {
+      for (const song of songs) {
+        const songId = song.spotify_id || song.id;
+        if (existing.has(songId) || existing.has(song.id)) continue;
+        existing.add(songId);
+        try {
+          await api.createFavorite({ user_id: currentUser.id, song_id: songId });
+          added += 1;
+        } catch (error) {
+          failed += 1;
+        }
+      }
+    } finally {
+      queryClient.invalidateQueries(['userFavorites', currentUser.id]);
+      // The catalog list may not have the matched songs yet
+      queryClient.invalidateQueries('songs');
+    }
+    
+    return failed > 0
+      ? `Added ${added} new favorites, ${failed} failed`
+      : `Added ${added} new favorites`;
+  };
+  
   // Get favorite songs with details
   const favoriteSongs = userFavorites.map(fav => 
     allSongs.find(song => song.id === fav.song_id || song.spotify_id === fav.song_id)
@@ -2365,6 +5454,9 @@ const MyMusicPage = ({ currentUser, setShowChat }) => {
           </Card>
         </div>
         
+        {/* Recently Played */}
+        <RecentlyPlayedSection currentUser={currentUser} />
+        
         {/* Favorite Songs */}
         <section className="mb-12">
           <h2 className="text-2xl font-bold text-slate-900 mb-6 flex items-center">
@@ -2373,6 +5465,17 @@ const MyMusicPage = ({ currentUser, setShowChat }) => {
             <Badge className="ml-3 bg-red-100 text-red-800">
               {favoriteSongs.length} songs
             </Badge>
+            <div className="ml-auto flex items-center gap-2">
+              {currentUser && (
+                <PlaylistImportButton testId="favorites" onImport={handleImportFavorites} />
+              )}
+              {favoriteSongs.length > 0 && (
+                <>
+                  <PlaylistExportMenu name="Favorites" songs={favoriteSongs} testId="favorites" />
+                  <OfflineCollectionButton songs={favoriteSongs} collection={FAVORITES_COLLECTION} />
+                </>
+              )}
+            </div>
           </h2>
           
           {favoriteSongs.length > 0 ? (
@@ -2451,9 +5554,633 @@ const MyMusicPage = ({ currentUser, setShowChat }) => {
               </Link>
             </Card>
           )}
-        </section>
-      </main>
-    </div>
+        </section>
+      </main>
+    </div>
+  );
+};
+
+// Ratings, favorites and listening history rolled up for a date range
+const useListeningStats = (currentUser, range) => {
+  const { data: userRatings = [] } = useQuery(
+    ['userRatings', currentUser?.id],
+    () => currentUser ? api.getUserRatings(currentUser.id).then(res => res.data) : [],
+    { enabled: !!currentUser }
+  );
+  
+  const { data: userFavorites = [] } = useQuery(
+    ['userFavorites', currentUser?.id],
+    () => currentUser ? api.getUserFavorites(currentUser.id).then(res => res.data) : [],
+    { enabled: !!currentUser }
+  );
+  
+  const { data: allSongs = [] } = useQuery('songs', () => api.getSongs().then(res => res.data));
+  
+  const { data: history = [] } = useQuery(
+    ['history', currentUser?.id],
+    () => getHistory(currentUser?.id),
+    { staleTime: Infinity }
+  );
+  
+  return computeListeningStats({
+    history,
+    ratings: userRatings,
+    favorites: userFavorites,
+    songs: allSongs,
+    range
+  });
+};
+
+const formatMinutes = (minutes) => (
+  minutes < 60 ? `${Math.round(minutes)} min` : `${(minutes / 60).toFixed(1)} h`
+);
+
+// Vertical bars; `labels` may leave gaps ('') to keep the axis readable
+const StatsBarChart = ({ values, labels, formatValue, testId }) => {
+  const max = Math.max(...values, 0);
+  
+  return (
+    <div data-testid={testId}>
+      <div className="flex items-end h-32 gap-1">
+        {values.map((value, index) => (
+          <div
+            key={index}
+            className="flex-1 bg-emerald-500/80 hover:bg-emerald-600 rounded-t transition-colors"
+            style={{ height: `${max > 0 ? Math.max((value / max) * 100, value > 0 ? 4 : 0) : 0}%` }}
+            title={formatValue(value, index)}
+          />
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {labels.map((label, index) => (
+          <div key={index} className="flex-1 text-center text-[10px] text-slate-500">{label}</div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const StatsRankingList = ({ entries, emptyText, testId }) => {
+  const topScore = entries[0]?.score || 1;
+  
+  if (entries.length === 0) {
+    return <p className="text-sm text-slate-500">{emptyText}</p>;
+  }
+  
+  return (
+    <ol className="space-y-3" data-testid={testId}>
+      {entries.map((entry, index) => (
+        <li key={entry.name}>
+          <div className="flex items-center justify-between text-sm mb-1">
+            <span className="font-medium text-slate-900 capitalize truncate">{index + 1}. {entry.name}</span>
+            <span className="ml-2 text-xs text-slate-500 whitespace-nowrap">
+              {entry.plays} {entry.plays === 1 ? 'play' : 'plays'} · {formatMinutes(entry.minutes)}
+            </span>
+          </div>
+          <Progress value={(entry.score / topScore) * 100} className="h-1.5" />
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+const HOUR_LABELS = Array.from({ length: 24 }, (_, hour) => (hour % 6 === 0 ? `${hour}:00` : ''));
+
+const StatsPage = ({ currentUser }) => {
+  const [rangeId, setRangeId] = useState('year');
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
+  const [summaryImage, setSummaryImage] = useState(null); // { blob, url }
+  const [isRendering, setIsRendering] = useState(false);
+  
+  const stats = useListeningStats(currentUser, getRangeBounds(rangeId, customRange));
+  const rangeLabel = rangeId === 'custom'
+    ? `${customRange.from || 'The beginning'} – ${customRange.to || 'today'}`
+    : STATS_RANGES.find(range => range.id === rangeId).label;
+  
+  useEffect(() => () => {
+    if (summaryImage) URL.revokeObjectURL(summaryImage.url);
+  }, [summaryImage]);
+  
+  const handleCreateSummary = async () => {
+    setIsRendering(true);
+    try {
+      const blob = await renderStatsSummary(stats, { userName: currentUser?.name || 'My', rangeLabel });
+      setSummaryImage({ blob, url: URL.createObjectURL(blob) });
+    } catch (error) {
+      console.error('Summary image error:', error);
+      toast.error('Failed to create the summary image');
+    } finally {
+      setIsRendering(false);
+    }
+  };
+  
+  const summaryFile = summaryImage && new File([summaryImage.blob], 'soundscout-stats.png', { type: 'image/png' });
+  const canShareFile = !!summaryFile && !!navigator.canShare?.({ files: [summaryFile] });
+  
+  const handleShare = async () => {
+    try {
+      await navigator.share({ files: [summaryFile], title: 'My SoundScout stats' });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        toast.error('Sharing failed. Download the image instead.');
+      }
+    }
+  };
+  
+  const averageRating = stats.averageRating ? stats.averageRating.toFixed(1) : '0';
+  const maxRatingCount = Math.max(...stats.ratingDistribution, 1);
+  
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-emerald-50 via-cyan-50 to-blue-50">
+      <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="text-center mb-8"
+        >
+          <h1 className="text-4xl font-bold text-slate-900 mb-4">
+            Your Listening Stats
+          </h1>
+          <p className="text-lg text-slate-600 max-w-2xl mx-auto">
+            What you played, loved and rated, and when you listen
+          </p>
+        </motion.div>
+        
+        {/* Range Filters */}
+        <div className="flex flex-wrap items-center justify-center gap-2 mb-8" data-testid="stats-range-filters">
+          {STATS_RANGES.map(range => (
+            <Button
+              key={range.id}
+              size="sm"
+              variant={rangeId === range.id ? 'default' : 'outline'}
+              className={rangeId === range.id ? 'bg-emerald-500 hover:bg-emerald-600 text-white' : ''}
+              onClick={() => setRangeId(range.id)}
+              data-testid={`stats-range-${range.id}`}
+            >
+              {range.label}
+            </Button>
+          ))}
+          {rangeId === 'custom' && (
+            <div className="flex items-center gap-2">
+              <Input
+                type="date"
+                value={customRange.from}
+                max={customRange.to || undefined}
+                onChange={(e) => setCustomRange(prev => ({ ...prev, from: e.target.value }))}
+                className="h-9 w-40"
+                data-testid="stats-range-from"
+              />
+              <span className="text-slate-500">–</span>
+              <Input
+                type="date"
+                value={customRange.to}
+                min={customRange.from || undefined}
+                onChange={(e) => setCustomRange(prev => ({ ...prev, to: e.target.value }))}
+                className="h-9 w-40"
+                data-testid="stats-range-to"
+              />
+            </div>
+          )}
+          <Button
+            size="sm"
+            variant="outline"
+            className="border-emerald-200 text-emerald-700 hover:bg-emerald-50"
+            onClick={handleCreateSummary}
+            disabled={isRendering}
+            data-testid="share-stats-btn"
+          >
+            {isRendering ? <Loader2 className="w-4 h-4 mr-2 animate-spin" /> : <Share2 className="w-4 h-4 mr-2" />}
+            Share Summary
+          </Button>
+        </div>
+        
+        {/* Headline Numbers */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-6 mb-8">
+          <Card className="bg-white/80 backdrop-blur-sm border-slate-200">
+            <CardContent className="p-6 text-center">
+              <Clock className="w-8 h-8 text-emerald-500 mx-auto mb-3" />
+              <div className="text-3xl font-bold text-slate-900" data-testid="stats-minutes">{stats.minutesListened}</div>
+              <div className="text-sm text-slate-600">Minutes Listened</div>
+            </CardContent>
+          </Card>
+          
+          <Card className="bg-white/80 backdrop-blur-sm border-slate-200">
+            <CardContent className="p-6 text-center">
+              <PlayCircle className="w-8 h-8 text-cyan-500 mx-auto mb-3" />
+              <div className="text-3xl font-bold text-slate-900">{stats.plays}</div>
+              <div className="text-sm text-slate-600">
+                Plays · {stats.uniqueSongs} {stats.uniqueSongs === 1 ? 'song' : 'songs'}
+              </div>
+            </CardContent>
+          </Card>
+          
+          <Card className="bg-white/80 backdrop-blur-sm border-slate-200">
+            <CardContent className="p-6 text-center">
+              <Flame className="w-8 h-8 text-orange-500 mx-auto mb-3" />
+              <div className="text-3xl font-bold text-slate-900" data-testid="stats-current-streak">{stats.streaks.current}</div>
+              <div className="text-sm text-slate-600">
+                Day Streak · best {stats.streaks.longest}
+              </div>
+            </CardContent>
+          </Card>
+          
+          <Card className="bg-white/80 backdrop-blur-sm border-slate-200">
+            <CardContent className="p-6 text-center">
+              <Star className="w-8 h-8 text-yellow-500 mx-auto mb-3" />
+              <div className="text-3xl font-bold text-slate-900">{averageRating}</div>
+              <div className="text-sm text-slate-600">
+                Avg Rating · {stats.totalRatings} rated
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+        
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Top Artists */}
+          <Card className="bg-white/80 backdrop-blur-sm border-slate-200">
+            <CardHeader>
+              <CardTitle className="flex items-center">
+                <User className="w-5 h-5 mr-2 text-emerald-600" />
+                Top Artists
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <StatsRankingList
+                entries={stats.topArtists}
+                emptyText="Listen, favorite or rate some songs to see your top artists."
+                testId="stats-top-artists"
+              />
+            </CardContent>
+          </Card>
+          
+          {/* Top Genres */}
+          <Card className="bg-white/80 backdrop-blur-sm border-slate-200">
+            <CardHeader>
+              <CardTitle className="flex items-center">
+                <Music className="w-5 h-5 mr-2 text-emerald-600" />
+                Top Genres
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <StatsRankingList
+                entries={stats.topGenres}
+                emptyText="Your top genres will show up once you've listened for a while."
+                testId="stats-top-genres"
+              />
+            </CardContent>
+          </Card>
+          
+          {/* Listening by Hour */}
+          <Card className="bg-white/80 backdrop-blur-sm border-slate-200">
+            <CardHeader>
+              <CardTitle className="flex items-center">
+                <Clock className="w-5 h-5 mr-2 text-emerald-600" />
+                Time of Day
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <StatsBarChart
+                values={stats.byHour}
+                labels={HOUR_LABELS}
+                formatValue={(minutes, hour) => `${hour}:00 – ${formatMinutes(minutes)}`}
+                testId="stats-by-hour"
+              />
+            </CardContent>
+          </Card>
+          
+          {/* Listening by Day */}
+          <Card className="bg-white/80 backdrop-blur-sm border-slate-200">
+            <CardHeader>
+              <CardTitle className="flex items-center">
+                <ChartColumn className="w-5 h-5 mr-2 text-emerald-600" />
+                Day of Week
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              <StatsBarChart
+                values={stats.byDay}
+                labels={WEEKDAYS}
+                formatValue={(minutes, day) => `${WEEKDAYS[day]} – ${formatMinutes(minutes)}`}
+                testId="stats-by-day"
+              />
+            </CardContent>
+          </Card>
+          
+          {/* Rating Distribution */}
+          <Card className="bg-white/80 backdrop-blur-sm border-slate-200 lg:col-span-2">
+            <CardHeader>
+              <CardTitle className="flex items-center">
+                <Star className="w-5 h-5 mr-2 text-yellow-500" />
+                Ratings
+                <Badge className="ml-3 bg-red-100 text-red-800">
+                  <Heart className="w-3 h-3 mr-1" />
+                  {stats.totalFavorites} favorites
+                </Badge>
+              </CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-2" data-testid="stats-rating-distribution">
+              {[5, 4, 3, 2, 1].map(stars => {
+                const count = stats.ratingDistribution[stars - 1];
+                return (
+                  <div key={stars} className="flex items-center space-x-3">
+                    <span className="w-12 text-sm text-slate-600 flex items-center">
+                      {stars} <Star className="w-3 h-3 ml-1 fill-yellow-400 text-yellow-400" />
+                    </span>
+                    <div className="flex-1 h-3 bg-slate-100 rounded-full overflow-hidden">
+                      <div
+                        className="h-full bg-yellow-400 rounded-full"
+                        style={{ width: `${(count / maxRatingCount) * 100}%` }}
+                      />
+                    </div>
+                    <span className="w-8 text-right text-sm text-slate-600 tabular-nums">{count}</span>
+                  </div>
+                );
+              })}
+            </CardContent>
+          </Card>
+        </div>
+      </main>
+      
+      {/* Shareable Summary */}
+      <Dialog open={!!summaryImage} onOpenChange={(open) => !open && setSummaryImage(null)}>
+        <DialogContent className="max-w-md">
+          <DialogHeader>
+            <DialogTitle>Your listening summary</DialogTitle>
+            <DialogDescription>{rangeLabel}</DialogDescription>
+          </DialogHeader>
+          {summaryImage && (
+            <img
+              src={summaryImage.url}
+              alt="Listening summary"
+              className="w-full rounded-lg border border-slate-200"
+              data-testid="stats-summary-image"
+            />
+          )}
+          <div className="flex justify-end space-x-2">
+            {canShareFile && (
+              <Button variant="outline" onClick={handleShare} data-testid="share-summary-image-btn">
+                <Share2 className="w-4 h-4 mr-2" />
+                Share
+              </Button>
+            )}
+            <a href={summaryImage?.url} download="soundscout-stats.png">
+              <Button className="bg-emerald-500 hover:bg-emerald-600 text-white" data-testid="download-summary-image-btn">
+                <Download className="w-4 h-4 mr-2" />
+                Download
+              </Button>
+            </a>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+// Export and import of ratings, favorites, genres, profile and history
+const LibraryBackupCard = ({ currentUser, setCurrentUser }) => {
+  const queryClient = useQueryClient();
+  const fileInputRef = useRef(null);
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, library }
+  const [strategy, setStrategy] = useState('newest');
+  
+  const { data: userRatings = [] } = useQuery(
+    ['userRatings', currentUser?.id],
+    () => currentUser ? api.getUserRatings(currentUser.id).then(res => res.data) : [],
+    { enabled: !!currentUser }
+  );
+  
+  const { data: userFavorites = [] } = useQuery(
+    ['userFavorites', currentUser?.id],
+    () => currentUser ? api.getUserFavorites(currentUser.id).then(res => res.data) : [],
+    { enabled: !!currentUser }
+  );
+  
+  const { data: allSongs = [] } = useQuery('songs', () => api.getSongs().then(res => res.data));
+  
+  const handleExport = (format) => {
+    const library = buildLibraryExport({
+      user: currentUser,
+      ratings: userRatings,
+      favorites: userFavorites,
+      history: getHistory(currentUser?.id),
+      songs: allSongs
+    });
+    if (format === 'csv') {
+      downloadFile(libraryToCsv(library), datedFileName('soundscout-library', 'csv'), 'text/csv');
+    } else {
+      downloadFile(JSON.stringify(library, null, 2), datedFileName('soundscout-library', 'json'), 'application/json');
+    }
+    toast.success(`Exported ${userRatings.length} ratings and ${userFavorites.length} favorites`);
+  };
+  
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+      const library = parseLibraryFile(await file.text(), file.name);
+      setPendingImport({ fileName: file.name, library });
+    } catch (error) {
+      toast.error(`Couldn't import ${file.name}: ${error.message}`);
+    }
+  };
+  
+  const plan = pendingImport && planLibraryImport(
+    pendingImport.library,
+    { user: currentUser, ratings: userRatings, favorites: userFavorites, history: getHistory(currentUser?.id) },
+    strategy
+  );
+  
+  const importMutation = useMutation(
+    async (importPlan) => {
+      const toastId = toast.loading('Importing library...');
+      const ratingWrites = [...importPlan.ratings.create, ...importPlan.ratings.update];
+      const total = ratingWrites.length + importPlan.favorites.length;
+      const saved = { ratings: 0, favorites: 0, history: 0 };
+      
+      // One at a time, so a large import doesn't flood the backend
+      for (const rating of ratingWrites) {
+        try {
+          await api.createRating({ user_id: currentUser.id, song_id: rating.song_id, rating: rating.rating });
+          saved.ratings += 1;
+        } catch (error) {
+          // Counted as failed below
+        }
+      }
+      for (const favorite of importPlan.favorites) {
+        try {
+          await api.createFavorite({ user_id: currentUser.id, song_id: favorite.song_id });
+          saved.favorites += 1;
+        } catch (error) {
+          // Counted as failed below
+        }
+      }
+      const failed = total - saved.ratings - saved.favorites;
+      
+      // When the backend took none of it, leave the rest for a retry too
+      if (total > 0 && failed === total) {
+        return { toastId, saved, failed, total };
+      }
+      
+      importHistoryEvents(currentUser.id, importPlan.history);
+      saved.history = importPlan.history.length;
+      if (importPlan.genres.length > 0 || Object.keys(importPlan.profile).length > 0) {
+        setCurrentUser({
+          ...currentUser,
+          ...importPlan.profile,
+          favorite_genres: [...(currentUser.favorite_genres || []), ...importPlan.genres],
+          updated_at: new Date().toISOString()
+        });
+      }
+      
+      return { toastId, saved, failed, total };
+    },
+    {
+      onSuccess: ({ toastId, saved, failed, total }) => {
+        if (total > 0 && failed === total) {
+          toast.error(`Nothing imported: none of the ${total} ratings and favorites could be saved`, { id: toastId });
+          return;
+        }
+        const summary = `Imported ${saved.ratings} ratings, ${saved.favorites} favorites and ${saved.history} history entries`;
+        if (failed > 0) {
+          // Keep the dialog open; importing again only retries what's missing
+          toast.error(`${summary}; ${failed} of ${total} ratings and favorites failed to save`, { id: toastId });
+        } else {
+          toast.success(summary, { id: toastId });
+          setPendingImport(null);
+        }
+      },
+      onSettled: () => {
+        queryClient.invalidateQueries(['userRatings', currentUser.id]);
+        queryClient.invalidateQueries(['userFavorites', currentUser.id]);
+        queryClient.invalidateQueries(['history', currentUser.id]);
+        queryClient.invalidateQueries(['recommendations', currentUser.id]);
+      }
+    }
+  );
+  
+  const describeSong = (entry) => entry.song_name
+    ? `${entry.song_name}${entry.artist ? ` – ${entry.artist}` : ''}`
+    : entry.song_id;
+  
+  return (
+    <Card className="bg-white/80 backdrop-blur-sm border-slate-200" data-testid="library-backup-card">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Archive className="w-5 h-5 mr-2 text-emerald-600" />
+          Backup &amp; Restore
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-slate-600">
+          Export your profile, favorite genres, ratings, favorites and listening history to move them
+          to another account or keep a backup. JSON keeps everything; CSV is a flat table for spreadsheets.
+        </p>
+        <div className="flex flex-wrap gap-2">
+          <Button variant="outline" size="sm" onClick={() => handleExport('json')} data-testid="export-library-json-btn">
+            <Download className="w-4 h-4 mr-2" />
+            Export JSON
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => handleExport('csv')} data-testid="export-library-csv-btn">
+            <Download className="w-4 h-4 mr-2" />
+            Export CSV
+          </Button>
+          <Button
+            size="sm"
+            className="bg-emerald-500 hover:bg-emerald-600 text-white"
+            onClick={() => fileInputRef.current?.click()}
+            data-testid="import-library-btn"
+          >
+            <Upload className="w-4 h-4 mr-2" />
+            Import...
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".json,.csv,application/json,text/csv"
+            className="hidden"
+            onChange={handleFileChange}
+            data-testid="import-library-input"
+          />
+        </div>
+      </CardContent>
+      
+      {/* Dry-run Preview */}
+      <Dialog open={!!pendingImport} onOpenChange={(open) => !open && !importMutation.isLoading && setPendingImport(null)}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Import library</DialogTitle>
+            <DialogDescription>
+              {pendingImport?.fileName}
+              {pendingImport?.library.exported_at && `, exported ${new Date(pendingImport.library.exported_at).toLocaleDateString()}`}
+              . Nothing changes until you import.
+            </DialogDescription>
+          </DialogHeader>
+          
+          {plan && (
+            <div className="space-y-4" data-testid="import-preview">
+              <div>
+                <label className="text-sm font-medium text-slate-700">When a rating differs</label>
+                <Select value={strategy} onValueChange={setStrategy}>
+                  <SelectTrigger className="mt-1 bg-white/50 border-slate-200" data-testid="import-strategy-select">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CONFLICT_STRATEGIES.map(option => (
+                      <SelectItem key={option.id} value={option.id}>
+                        {option.label}: {option.description.toLowerCase()}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              
+              <ul className="text-sm text-slate-700 space-y-1">
+                <li>
+                  <strong>{plan.ratings.create.length}</strong> new ratings,{' '}
+                  <strong>{plan.ratings.update.length}</strong> updated
+                  {plan.ratings.conflicts > 0 && ` (${plan.ratings.conflicts} conflicting)`},{' '}
+                  {plan.ratings.unchanged} already the same
+                </li>
+                <li><strong>{plan.favorites.length}</strong> new favorites</li>
+                <li><strong>{plan.genres.length}</strong> new favorite genres</li>
+                <li><strong>{plan.history.length}</strong> listening history entries</li>
+                {Object.keys(plan.profile).length > 0 && (
+                  <li>Profile: {Object.keys(plan.profile).join(', ')} will be replaced</li>
+                )}
+              </ul>
+              
+              {plan.ratings.update.length > 0 && (
+                <ScrollArea className="max-h-32 rounded border border-slate-200 p-2">
+                  {plan.ratings.update.map(rating => (
+                    <div key={rating.song_id} className="flex justify-between text-xs text-slate-600 py-0.5">
+                      <span className="truncate">{describeSong(rating)}</span>
+                      <span className="ml-2 whitespace-nowrap">{rating.previous}★ → {rating.rating}★</span>
+                    </div>
+                  ))}
+                </ScrollArea>
+              )}
+            </div>
+          )}
+          
+          <div className="flex justify-end space-x-2">
+            <Button variant="outline" onClick={() => setPendingImport(null)} disabled={importMutation.isLoading}>
+              Cancel
+            </Button>
+            <Button
+              className="bg-emerald-500 hover:bg-emerald-600 text-white"
+              onClick={() => importMutation.mutate(plan)}
+              disabled={!plan?.hasChanges || importMutation.isLoading}
+              data-testid="confirm-import-btn"
+            >
+              {importMutation.isLoading && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {plan?.hasChanges ? 'Import' : 'Nothing to import'}
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
+    </Card>
   );
 };
 
@@ -2614,44 +6341,582 @@ const SpotifyCredentialsCard = () => {
   );
 };
 
+const formatFrequency = (frequency) => (
+  frequency >= 1000 ? `${frequency / 1000}k` : `${frequency}`
+);
+
+const EqualizerCard = () => {
+  const {
+    eqSettings,
+    userEqPresets,
+    updateEqSettings,
+    applyEqPreset,
+    saveEqPreset,
+    deleteEqPreset
+  } = useAudioPlayer();
+  
+  const [presetName, setPresetName] = useState('');
+  
+  const allPresets = [...BUILT_IN_EQ_PRESETS, ...userEqPresets];
+  const presetGroups = ['General', 'Genres', 'My Presets']
+    .map(group => ({ group, presets: allPresets.filter(preset => preset.group === group) }))
+    .filter(({ presets }) => presets.length > 0);
+  const selectedUserPreset = userEqPresets.find(preset => preset.id === eqSettings.presetId);
+  
+  const handlePresetChange = (presetId) => {
+    const preset = allPresets.find(p => p.id === presetId);
+    if (preset) {
+      applyEqPreset(preset);
+    }
+  };
+  
+  const handleBandChange = (index, gain) => {
+    const bands = [...eqSettings.bands];
+    bands[index] = gain;
+    updateEqSettings({ bands, presetId: null });
+  };
+  
+  const handleSavePreset = () => {
+    if (!presetName.trim()) return;
+    saveEqPreset(presetName);
+    setPresetName('');
+  };
+  
+  return (
+    <Card className="bg-white/80 backdrop-blur-sm border-slate-200" data-testid="equalizer-card">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center">
+          <SlidersHorizontal className="w-5 h-5 mr-2 text-emerald-600" />
+          Equalizer & Effects
+        </CardTitle>
+        <div className="flex items-center space-x-2">
+          <span className="text-sm text-slate-600">{eqSettings.enabled ? 'On' : 'Off'}</span>
+          <Switch
+            checked={eqSettings.enabled}
+            onCheckedChange={(enabled) => updateEqSettings({ enabled })}
+            data-testid="eq-enabled-switch"
+          />
+        </div>
+      </CardHeader>
+      <CardContent className={`space-y-6 ${eqSettings.enabled ? '' : 'opacity-60'}`}>
+        {/* Presets */}
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-2">Preset</label>
+          <div className="flex space-x-2">
+            <Select value={eqSettings.presetId || 'custom'} onValueChange={handlePresetChange}>
+              <SelectTrigger className="flex-1 bg-white/50 border-slate-200" data-testid="eq-preset-select">
+                <SelectValue placeholder="Custom" />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="custom" disabled>Custom</SelectItem>
+                {presetGroups.map(({ group, presets }) => (
+                  <SelectGroup key={group}>
+                    <SelectLabel>{group}</SelectLabel>
+                    {presets.map(preset => (
+                      <SelectItem key={preset.id} value={preset.id}>{preset.name}</SelectItem>
+                    ))}
+                  </SelectGroup>
+                ))}
+              </SelectContent>
+            </Select>
+            {selectedUserPreset && (
+              <Button
+                variant="outline"
+                size="icon"
+                onClick={() => deleteEqPreset(selectedUserPreset.id)}
+                className="text-slate-500 hover:text-red-600"
+                title={`Delete "${selectedUserPreset.name}"`}
+                data-testid="delete-eq-preset-btn"
+              >
+                <Trash2 className="w-4 h-4" />
+              </Button>
+            )}
+          </div>
+        </div>
+        
+        {/* Graphic EQ */}
+        <div className="space-y-2">
+          <label className="block text-sm font-medium text-slate-700">Graphic EQ</label>
+          {EQ_BANDS.map((frequency, index) => (
+            <div key={frequency} className="flex items-center space-x-3">
+              <span className="w-10 text-xs text-slate-500 text-right">{formatFrequency(frequency)}</span>
+              <Slider
+                min={-EQ_GAIN_RANGE}
+                max={EQ_GAIN_RANGE}
+                step={1}
+                value={[eqSettings.bands[index]]}
+                onValueChange={([gain]) => handleBandChange(index, gain)}
+                disabled={!eqSettings.enabled}
+                data-testid={`eq-band-${frequency}`}
+              />
+              <span className="w-12 text-xs text-slate-600 tabular-nums">
+                {eqSettings.bands[index] > 0 ? '+' : ''}{eqSettings.bands[index]} dB
+              </span>
+            </div>
+          ))}
+        </div>
+        
+        {/* Bass Boost & Stereo Width */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-sm font-medium text-slate-700">Bass Boost</label>
+              <span className="text-xs text-slate-600">+{eqSettings.bassBoost} dB</span>
+            </div>
+            <Slider
+              min={0}
+              max={BASS_BOOST_MAX}
+              step={1}
+              value={[eqSettings.bassBoost]}
+              onValueChange={([bassBoost]) => updateEqSettings({ bassBoost, presetId: null })}
+              disabled={!eqSettings.enabled}
+              data-testid="eq-bass-boost"
+            />
+          </div>
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <label className="text-sm font-medium text-slate-700">Stereo Width</label>
+              <span className="text-xs text-slate-600">{Math.round(eqSettings.stereoWidth * 100)}%</span>
+            </div>
+            <Slider
+              min={STEREO_WIDTH_RANGE[0]}
+              max={STEREO_WIDTH_RANGE[1]}
+              step={0.05}
+              value={[eqSettings.stereoWidth]}
+              onValueChange={([stereoWidth]) => updateEqSettings({ stereoWidth, presetId: null })}
+              disabled={!eqSettings.enabled}
+              data-testid="eq-stereo-width"
+            />
+          </div>
+        </div>
+        
+        {/* Save Preset */}
+        <div className="flex space-x-2 pt-4 border-t border-slate-200">
+          <Input
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            onKeyPress={(e) => e.key === 'Enter' && handleSavePreset()}
+            placeholder="Name this sound as a preset"
+            className="flex-1 bg-white/50 border-slate-200 focus:border-emerald-300 focus:ring-emerald-200"
+            data-testid="eq-preset-name-input"
+          />
+          <Button
+            onClick={handleSavePreset}
+            disabled={!presetName.trim()}
+            className="bg-emerald-500 hover:bg-emerald-600 text-white"
+            data-testid="save-eq-preset-btn"
+          >
+            Save Preset
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => applyEqPreset(BUILT_IN_EQ_PRESETS[0])}
+            data-testid="reset-eq-btn"
+          >
+            Reset
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+const formatTimeAgo = (timestamp) => {
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  return `${Math.floor(hours / 24)}d ago`;
+};
+
+const DemoAudioCard = () => {
+  const { demoMode, setDemoMode, audioSource, currentSong } = useAudioPlayer();
+  
+  return (
+    <Card
+      className={`backdrop-blur-sm ${demoMode ? 'bg-amber-50/80 border-amber-200' : 'bg-white/80 border-slate-200'}`}
+      data-testid="demo-audio-card"
+    >
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center">
+          <Sparkles className="w-5 h-5 mr-2 text-amber-500" />
+          Demo Audio
+        </CardTitle>
+        <div className="flex items-center space-x-2">
+          <span className="text-sm text-slate-600">{demoMode ? 'On' : 'Off'}</span>
+          <Switch
+            checked={demoMode}
+            onCheckedChange={setDemoMode}
+            data-testid="demo-mode-switch"
+          />
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        <p className="text-sm text-slate-700">
+          Plays a synthesized {DEMO_CLIP_SECONDS}-second clip for every song instead of the real preview. Each clip is generated in your browser from the song's genre, sounds the same every time, and needs no network connection.
+        </p>
+        <p className="text-sm text-slate-500">
+          Useful for demos and trying out the player offline. Clips are labeled "Demo audio" in the player.
+        </p>
+        {currentSong && audioSource && (audioSource === 'demo') !== demoMode && (
+          <p className="text-sm text-amber-700">
+            The current song keeps playing as loaded; the change applies from the next song you play.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+const PlaybackSettingsCard = () => {
+  const { crossfade, updateCrossfade, normalization, updateNormalization, dataSaver, setDataSaver } = useAudioPlayer();
+  
+  return (
+    <Card className="bg-white/80 backdrop-blur-sm border-slate-200" data-testid="playback-settings-card">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <PlayCircle className="w-5 h-5 mr-2 text-emerald-600" />
+          Playback
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {/* Crossfade */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <label className="text-sm font-medium text-slate-700">Crossfade</label>
+            <span className="text-xs text-slate-600">
+              {crossfade.seconds === 0 ? 'Off' : `${crossfade.seconds}s`}
+            </span>
+          </div>
+          <Slider
+            min={0}
+            max={CROSSFADE_MAX_SECONDS}
+            step={1}
+            value={[crossfade.seconds]}
+            onValueChange={([seconds]) => updateCrossfade({ seconds })}
+            data-testid="crossfade-slider"
+          />
+          <p className="text-xs text-slate-500 mt-2">
+            Fades the next song in while the current one fades out. Never takes more than a third of a song.
+          </p>
+        </div>
+        
+        {/* Smart Transitions */}
+        <div className="flex items-center justify-between">
+          <div className="pr-4">
+            <label className="text-sm font-medium text-slate-700">Smart transitions</label>
+            <p className="text-xs text-slate-500">Skip the crossfade between songs from the same album</p>
+          </div>
+          <Switch
+            checked={crossfade.smart}
+            onCheckedChange={(smart) => updateCrossfade({ smart })}
+            disabled={crossfade.seconds === 0}
+            data-testid="smart-transitions-switch"
+          />
+        </div>
+        
+        {/* Loudness Normalization */}
+        <div className="pt-4 border-t border-slate-200 space-y-3">
+          <div className="flex items-center justify-between">
+            <div className="pr-4">
+              <label className="text-sm font-medium text-slate-700">Normalize volume</label>
+              <p className="text-xs text-slate-500">Play every song at a similar loudness, measured once per song</p>
+            </div>
+            <Switch
+              checked={normalization.enabled}
+              onCheckedChange={(enabled) => updateNormalization({ enabled })}
+              data-testid="normalization-switch"
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <label className="text-sm text-slate-600">Target loudness</label>
+            <Select
+              value={normalization.target}
+              onValueChange={(target) => updateNormalization({ target })}
+              disabled={!normalization.enabled}
+            >
+              <SelectTrigger className="w-48 bg-white/50 border-slate-200" data-testid="loudness-target-select">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {LOUDNESS_TARGETS.map(target => (
+                  <SelectItem key={target.id} value={target.id}>
+                    {target.label} ({target.lufs} LUFS)
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </div>
+        
+        {/* Data Saver */}
+        <div className="flex items-center justify-between pt-4 border-t border-slate-200">
+          <div className="pr-4">
+            <label className="text-sm font-medium text-slate-700 flex items-center">
+              <Wifi className="w-4 h-4 mr-1 text-slate-500" />
+              Data saver
+            </label>
+            <p className="text-xs text-slate-500">
+              {dataSaver
+                ? 'Songs only load when you play them. Skipping to the next track may take a moment.'
+                : 'The next songs in your queue are looked up and buffered ahead, so skipping starts right away.'}
+            </p>
+          </div>
+          <Switch
+            checked={dataSaver}
+            onCheckedChange={setDataSaver}
+            data-testid="data-saver-switch"
+          />
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+const RecommendationFeedbackCard = () => {
+  const { implicitFeedback, setImplicitFeedback } = useAudioPlayer();
+  
+  return (
+    <Card className="bg-white/80 backdrop-blur-sm border-slate-200" data-testid="recommendation-feedback-card">
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Sparkles className="w-5 h-5 mr-2 text-emerald-600" />
+          Recommendations
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="flex items-center justify-between">
+          <div className="pr-4">
+            <label className="text-sm font-medium text-slate-700">Learn from how I listen</label>
+            <p className="text-xs text-slate-500">
+              {implicitFeedback
+                ? 'Songs you skip within a few seconds, play to the end, replay or add to the queue help tune your recommendations, alongside your ratings and favorites.'
+                : 'Only your ratings and favorites are used for recommendations.'}
+            </p>
+          </div>
+          <Switch
+            checked={implicitFeedback}
+            onCheckedChange={setImplicitFeedback}
+            data-testid="implicit-feedback-switch"
+          />
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(0)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+const OfflineStorageCard = () => {
+  const { downloads, purge, isPurging } = useOfflineDownloads();
+  const { totalSize, collections } = summarizeDownloads(downloads);
+  
+  const { data: estimate } = useQuery(['storageEstimate', totalSize], getStorageEstimate, {
+    staleTime: 0
+  });
+  
+  return (
+    <Card className="bg-white/80 backdrop-blur-sm border-slate-200" data-testid="offline-storage-card">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center">
+          <HardDrive className="w-5 h-5 mr-2 text-emerald-600" />
+          Offline Downloads
+        </CardTitle>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => purge()}
+          disabled={downloads.length === 0 || isPurging}
+          className="hover:text-red-600"
+          data-testid="purge-all-downloads-btn"
+        >
+          <Trash2 className="w-4 h-4 mr-2" />
+          Purge All
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {/* Totals */}
+        <div className="p-4 bg-gradient-to-br from-emerald-50 to-cyan-50 rounded-lg">
+          <div className="flex items-baseline justify-between">
+            <span className="text-2xl font-bold text-slate-900">{formatBytes(totalSize)}</span>
+            <span className="text-sm text-slate-600">{downloads.length} songs saved</span>
+          </div>
+          {estimate?.quota > 0 && (
+            <p className="text-xs text-slate-500 mt-1">
+              This site is using {formatBytes(estimate.usage || 0)} of {formatBytes(estimate.quota)} available in your browser
+            </p>
+          )}
+        </div>
+        
+        {/* Per collection */}
+        {collections.length === 0 ? (
+          <p className="text-sm text-slate-500">
+            Nothing downloaded yet. Use the download button on a song, a playlist or your favorites to listen without a connection.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {collections.map(collection => (
+              <div key={collection.id} className="space-y-1" data-testid={`download-collection-${collection.id}`}>
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-slate-900 truncate">{collection.name}</p>
+                    <p className="text-xs text-slate-500">
+                      {collection.songCount} songs · {formatBytes(collection.size)}
+                    </p>
+                  </div>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => purge(collection.id)}
+                    disabled={isPurging}
+                    className="text-slate-500 hover:text-red-600 flex-shrink-0"
+                    title={`Remove downloads for ${collection.name}`}
+                    data-testid={`purge-collection-${collection.id}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </Button>
+                </div>
+                <Progress value={totalSize > 0 ? (collection.size / totalSize) * 100 : 0} className="h-1.5" />
+              </div>
+            ))}
+            <p className="text-xs text-slate-500">
+              Songs saved in more than one collection count toward each, and stay downloaded until every collection holding them is purged.
+            </p>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+const PreviewSourcesCard = () => {
+  const queryClient = useQueryClient();
+  const providers = getPreviewProviders();
+  
+  const { data: entries = [], isLoading } = useQuery('previewSources', getPreviewCacheEntries, {
+    staleTime: 0
+  });
+  
+  const clearMutation = useMutation(clearPreviewCache, {
+    onSuccess: () => {
+      queryClient.invalidateQueries('previewSources');
+      toast.success('Preview cache cleared');
+    }
+  });
+  
+  const hitCount = entries.filter(entry => entry.status === 'hit').length;
+  
+  return (
+    <Card className="bg-white/80 backdrop-blur-sm border-slate-200" data-testid="preview-sources-card">
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center">
+          <Database className="w-5 h-5 mr-2 text-emerald-600" />
+          Preview Sources
+        </CardTitle>
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => clearMutation.mutate()}
+          disabled={entries.length === 0 || clearMutation.isLoading}
+          data-testid="clear-preview-cache-btn"
+        >
+          <Trash2 className="w-4 h-4 mr-2" />
+          Clear Cache
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {/* Providers, in lookup order */}
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-2">Lookup order</label>
+          <div className="flex flex-wrap gap-2">
+            {providers.map((provider, index) => (
+              <Badge key={provider.id} variant="outline" data-testid={`preview-provider-${provider.id}`}>
+                {index + 1}. {provider.name}
+                <span className="ml-1 text-slate-400">· {provider.timeout / 1000}s timeout</span>
+              </Badge>
+            ))}
+          </div>
+        </div>
+        
+        {/* Cached lookups */}
+        <div>
+          <div className="flex items-center justify-between mb-2">
+            <label className="text-sm font-medium text-slate-700">Recently resolved</label>
+            <span className="text-xs text-slate-500">
+              {hitCount} found · {entries.length - hitCount} not found
+            </span>
+          </div>
+          {isLoading ? (
+            <p className="text-sm text-slate-500">Loading...</p>
+          ) : entries.length === 0 ? (
+            <p className="text-sm text-slate-500">
+              No previews looked up yet. Play a song and its source will show up here.
+            </p>
+          ) : (
+            <ScrollArea className="h-64 pr-3">
+              <div className="space-y-2">
+                {entries.map(entry => (
+                  <div
+                    key={entry.key}
+                    className="flex items-center justify-between p-2 rounded-lg bg-slate-50"
+                    data-testid="preview-cache-entry"
+                  >
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-slate-900 truncate">{entry.songName}</p>
+                      <p className="text-xs text-slate-500 truncate">{entry.artist}</p>
+                    </div>
+                    <div className="flex items-center space-x-2 flex-shrink-0 ml-3">
+                      <span className="text-xs text-slate-400">{formatTimeAgo(entry.resolvedAt)}</span>
+                      {entry.status === 'hit' ? (
+                        <Badge className="bg-emerald-100 text-emerald-700 hover:bg-emerald-100">
+                          {getPreviewProviderName(entry.providerId)}
+                        </Badge>
+                      ) : (
+                        <Badge variant="secondary">Not found</Badge>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </ScrollArea>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+const profileFromUser = (user) => ({
+  name: user?.name || 'Music Lover',
+  email: user?.email || 'user@soundscout.com',
+  bio: user?.bio || 'Music enthusiast discovering new sounds every day.',
+  favorite_genres: user?.favorite_genres || ['pop', 'rock', 'electronic'],
+  avatar_color: user?.avatar_color || 'emerald'
+});
+
 const SettingsPage = ({ currentUser, setCurrentUser }) => {
   const [isEditing, setIsEditing] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
-  const [profileData, setProfileData] = useState({
-    name: currentUser?.name || 'Music Lover',
-    email: currentUser?.email || 'user@soundscout.com',
-    bio: currentUser?.bio || 'Music enthusiast discovering new sounds every day.',
-    favorite_genres: currentUser?.favorite_genres || ['pop', 'rock', 'electronic'],
-    avatar_color: currentUser?.avatar_color || 'emerald'
-  });
+  const [profileData, setProfileData] = useState(() => profileFromUser(currentUser));
   const [newGenre, setNewGenre] = useState('');
   
+  // Pick up profile changes made elsewhere, e.g. by a library import
+  useEffect(() => {
+    if (!isEditing) {
+      setProfileData(profileFromUser(currentUser));
+    }
+  }, [currentUser, isEditing]);
+  
   const queryClient = useQueryClient();
   
-  const { data: userStats } = useQuery(
-    ['userStats', currentUser?.id],
-    async () => {
-      const [ratings, favorites] = await Promise.all([
-        api.getUserRatings(currentUser.id).then(res => res.data),
-        api.getUserFavorites(currentUser.id).then(res => res.data)
-      ]);
-      
-      const avgRating = ratings.length > 0 
-        ? (ratings.reduce((sum, r) => sum + r.rating, 0) / ratings.length).toFixed(1)
-        : 0;
-      
-      const topGenres = profileData.favorite_genres.slice(0, 3);
-      
-      return {
-        totalRatings: ratings.length,
-        totalFavorites: favorites.length,
-        averageRating: avgRating,
-        topGenres,
-        joinedDate: currentUser?.created_at ? new Date(currentUser.created_at).toLocaleDateString() : 'Today'
-      };
-    },
-    { enabled: !!currentUser }
-  );
+  const stats = useListeningStats(currentUser, getRangeBounds('all'));
+  const joinedDate = currentUser?.created_at ? new Date(currentUser.created_at).toLocaleDateString() : 'Today';
   
   const avatarColors = [
     { name: 'emerald', bg: 'bg-emerald-100', text: 'text-emerald-700', border: 'border-emerald-200' },
@@ -2685,13 +6950,7 @@ const SettingsPage = ({ currentUser, setCurrentUser }) => {
   };
   
   const handleCancel = () => {
-    setProfileData({
-      name: currentUser?.name || 'Music Lover',
-      email: currentUser?.email || 'user@soundscout.com',
-      bio: currentUser?.bio || 'Music enthusiast discovering new sounds every day.',
-      favorite_genres: currentUser?.favorite_genres || ['pop', 'rock', 'electronic'],
-      avatar_color: currentUser?.avatar_color || 'emerald'
-    });
+    setProfileData(profileFromUser(currentUser));
     setIsEditing(false);
   };
   
@@ -2925,6 +7184,27 @@ const SettingsPage = ({ currentUser, setCurrentUser }) => {
               </CardContent>
             </Card>
             
+            {/* Recommendations */}
+            <RecommendationFeedbackCard />
+            
+            {/* Playback */}
+            <PlaybackSettingsCard />
+            
+            {/* Equalizer */}
+            <EqualizerCard />
+            
+            {/* Demo Audio */}
+            <DemoAudioCard />
+            
+            {/* Preview Sources */}
+            <PreviewSourcesCard />
+            
+            {/* Offline Downloads */}
+            <OfflineStorageCard />
+            
+            {/* Library Backup */}
+            <LibraryBackupCard currentUser={currentUser} setCurrentUser={setCurrentUser} />
+            
             {/* Spotify API Credentials */}
             <SpotifyCredentialsCard />
             
@@ -2938,7 +7218,7 @@ const SettingsPage = ({ currentUser, setCurrentUser }) => {
                   <div>
                     <h3 className="font-semibold text-blue-900 mb-2">Audio Playback</h3>
                     <p className="text-sm text-blue-800 mb-3">
-                      <strong>How it works:</strong> Spotify deprecated preview URLs in November 2024. SoundScout automatically searches iTunes for 30-second MP3 previews when you play a song.
+                      <strong>How it works:</strong> Spotify deprecated preview URLs in November 2024. SoundScout looks up a 30-second preview from each source in turn (Spotify, then iTunes) when you play a song, and remembers where it found one.
                     </p>
                     <p className="text-sm text-blue-700">
                       Most songs will have playable previews! If a preview isn't found, you can open the song directly in Spotify to listen to the full track.
@@ -2960,29 +7240,55 @@ const SettingsPage = ({ currentUser, setCurrentUser }) => {
                 </CardTitle>
               </CardHeader>
               <CardContent className="space-y-4">
+                <div className="text-center p-4 bg-gradient-to-br from-emerald-50 to-cyan-50 rounded-lg">
+                  <Clock className="w-6 h-6 text-emerald-500 mx-auto mb-2" />
+                  <div className="text-2xl font-bold text-slate-900">{stats.minutesListened}</div>
+                  <div className="text-sm text-slate-600">Minutes Listened</div>
+                </div>
+                
                 <div className="text-center p-4 bg-gradient-to-br from-emerald-50 to-cyan-50 rounded-lg">
                   <Heart className="w-6 h-6 text-red-500 mx-auto mb-2" />
-                  <div className="text-2xl font-bold text-slate-900">{userStats?.totalFavorites || 0}</div>
+                  <div className="text-2xl font-bold text-slate-900">{stats.totalFavorites}</div>
                   <div className="text-sm text-slate-600">Favorites</div>
                 </div>
                 
                 <div className="text-center p-4 bg-gradient-to-br from-emerald-50 to-cyan-50 rounded-lg">
                   <Star className="w-6 h-6 text-yellow-500 mx-auto mb-2" />
-                  <div className="text-2xl font-bold text-slate-900">{userStats?.totalRatings || 0}</div>
+                  <div className="text-2xl font-bold text-slate-900">{stats.totalRatings}</div>
                   <div className="text-sm text-slate-600">Songs Rated</div>
                 </div>
                 
                 <div className="text-center p-4 bg-gradient-to-br from-emerald-50 to-cyan-50 rounded-lg">
                   <TrendingUp className="w-6 h-6 text-emerald-500 mx-auto mb-2" />
-                  <div className="text-2xl font-bold text-slate-900">{userStats?.averageRating || 0}</div>
+                  <div className="text-2xl font-bold text-slate-900">{stats.averageRating ? stats.averageRating.toFixed(1) : 0}</div>
                   <div className="text-sm text-slate-600">Avg Rating</div>
                 </div>
                 
+                {stats.topGenres.length > 0 && (
+                  <div className="text-center p-4 bg-gradient-to-br from-emerald-50 to-cyan-50 rounded-lg">
+                    <div className="text-sm font-semibold text-slate-900 mb-2">Top Genres</div>
+                    <div className="flex flex-wrap justify-center gap-1">
+                      {stats.topGenres.slice(0, 3).map(genre => (
+                        <Badge key={genre.name} className="bg-emerald-100 text-emerald-800 capitalize">
+                          {genre.name}
+                        </Badge>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                
                 <div className="text-center p-4 bg-gradient-to-br from-emerald-50 to-cyan-50 rounded-lg">
                   <User className="w-6 h-6 text-blue-500 mx-auto mb-2" />
                   <div className="text-sm font-semibold text-slate-900">Member Since</div>
-                  <div className="text-sm text-slate-600">{userStats?.joinedDate || 'Today'}</div>
+                  <div className="text-sm text-slate-600">{joinedDate}</div>
                 </div>
+                
+                <Link to="/stats">
+                  <Button variant="outline" className="w-full border-emerald-200 text-emerald-700 hover:bg-emerald-50" data-testid="view-stats-btn">
+                    <ChartColumn className="w-4 h-4 mr-2" />
+                    View Full Stats
+                  </Button>
+                </Link>
               </CardContent>
             </Card>
             
@@ -3102,12 +7408,19 @@ const AppWithNavigation = ({ currentUser, setCurrentUser }) => {
           path="/my-music" 
           element={<MyMusicPage currentUser={currentUser} setShowChat={setShowChat} />} 
         />
+        <Route 
+          path="/stats" 
+          element={<StatsPage currentUser={currentUser} />} 
+        />
         <Route 
           path="/settings" 
           element={<SettingsPage currentUser={currentUser} setCurrentUser={setCurrentUser} />} 
         />
       </Routes>
       
+      {/* Global Player Shortcuts */}
+      <PlayerShortcuts currentUser={currentUser} />
+      
       {/* Global Chat Interface */}
       <AnimatePresence>
         <ChatInterface
@@ -3174,9 +7487,9 @@ const App = () => {
   return (
     <QueryClientProvider client={queryClient}>
       <Router>
-        <AudioPlayerProvider>
+        <AudioPlayerProvider currentUser={currentUser}>
           <AppWithNavigation currentUser={currentUser} setCurrentUser={setCurrentUser} />
-          <AudioPlayer />
+          <AudioPlayer currentUser={currentUser} />
         </AudioPlayerProvider>
       </Router>
     </QueryClientProvider>
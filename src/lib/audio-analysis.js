@@ -0,0 +1,77 @@
+// Shared plumbing for per-track audio analysis (loudness, waveform peaks): the
+// audio is fetched and decoded once, reduced by an analyser, and the result is
+// cached in memory and in an IndexedDB store. Concurrent requests for the same
+// track share one decode.
+
+import axios from 'axios';
+import { idbGet, idbSet } from './idb';
+import { getPreviewCacheKey } from './preview-resolver';
+
+// Demo clips are synthesized, so they get their own entry next to the real preview
+export const getAnalysisKey = (song, { demo = false } = {}) => (
+  `${demo ? 'demo:' : ''}${getPreviewCacheKey(song)}`
+);
+
+// Decode `source` (a URL or a Blob) into an AudioBuffer
+export const decodeAudioSource = async (source) => {
+  const data = source instanceof Blob
+    ? await source.arrayBuffer()
+    : (await axios.get(source, { responseType: 'arraybuffer' })).data;
+  // decodeAudioData works on any context; a one-frame offline one is the cheapest
+  const decoder = new OfflineAudioContext(1, 1, 44100);
+  return decoder.decodeAudioData(data);
+};
+
+// Cache for one kind of analysis. Results are stored as `{ [field]: value }` in
+// `store`; `analyse(buffer)` computes the value, and `failedValue` is what `load`
+// resolves to when the audio can't be fetched or decoded.
+export const createAnalysisCache = ({ store, field, analyse, failedValue, label }) => {
+  const memoryCache = new Map();
+  const pending = new Map();
+
+  // The cached value, or undefined when the track hasn't been analysed yet
+  const getCached = async (song, options) => {
+    const key = getAnalysisKey(song, options);
+    if (memoryCache.has(key)) {
+      return memoryCache.get(key)[field];
+    }
+    try {
+      const entry = await idbGet(store, key);
+      if (entry) {
+        memoryCache.set(key, entry);
+        return entry[field];
+      }
+    } catch (error) {
+      // Not cached then
+    }
+    return undefined;
+  };
+
+  const load = async (song, source, options) => {
+    const cached = await getCached(song, options);
+    if (cached !== undefined) return cached;
+
+    const key = getAnalysisKey(song, options);
+    if (!pending.has(key)) {
+      const run = async () => {
+        try {
+          const value = await analyse(await decodeAudioSource(source));
+
+          const entry = { [field]: value, analysedAt: Date.now() };
+          memoryCache.set(key, entry);
+          idbSet(store, key, entry).catch(error => {
+            console.warn(`Failed to persist ${label}:`, error);
+          });
+          return value;
+        } catch (error) {
+          console.warn(`Failed to analyse ${label} of "${song.name}":`, error.message || error);
+          return failedValue;
+        }
+      };
+      pending.set(key, run().finally(() => pending.delete(key)));
+    }
+    return pending.get(key);
+  };
+
+  return { getCached, load };
+};
@@ -0,0 +1,141 @@
+// Web Audio effects chain placed between the player's <audio> element and the
+// speakers: a 10-band graphic EQ, a bass boost shelf and a mid/side stereo widener.
+
+export const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+
+export const EQ_GAIN_RANGE = 12; // dB, each way
+export const BASS_BOOST_MAX = 12; // dB
+export const STEREO_WIDTH_RANGE = [0, 2]; // 0 = mono, 1 = unchanged, 2 = extra wide
+
+const BASS_BOOST_FREQUENCY = 100;
+const PEAKING_Q = 1.41;
+
+const flat = () => EQ_BANDS.map(() => 0);
+
+export const DEFAULT_EQ_SETTINGS = {
+  enabled: false,
+  presetId: 'flat',
+  bands: flat(),
+  bassBoost: 0,
+  stereoWidth: 1
+};
+
+// Built-in presets. Genre presets are named after the Discover page genres.
+export const BUILT_IN_EQ_PRESETS = [
+  { id: 'flat', name: 'Flat', group: 'General', bands: flat(), bassBoost: 0, stereoWidth: 1 },
+  { id: 'bass-boost', name: 'Bass Boost', group: 'General', bands: [5, 4, 3, 1, 0, 0, 0, 0, 0, 0], bassBoost: 6, stereoWidth: 1 },
+  { id: 'treble-boost', name: 'Treble Boost', group: 'General', bands: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6], bassBoost: 0, stereoWidth: 1 },
+  { id: 'vocal', name: 'Vocal Clarity', group: 'General', bands: [-2, -2, -1, 0, 2, 4, 4, 2, 0, -1], bassBoost: 0, stereoWidth: 1 },
+  { id: 'loudness', name: 'Loudness', group: 'General', bands: [5, 4, 1, 0, -1, 0, 0, 1, 4, 5], bassBoost: 2, stereoWidth: 1.1 },
+  { id: 'late-night', name: 'Late Night', group: 'General', bands: [-3, -2, -1, 0, 1, 2, 1, 0, -2, -3], bassBoost: 0, stereoWidth: 0.8 },
+  { id: 'genre-pop', name: 'Pop', group: 'Genres', bands: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2], bassBoost: 1, stereoWidth: 1.1 },
+  { id: 'genre-bollywood', name: 'Bollywood', group: 'Genres', bands: [2, 2, 1, 0, 1, 3, 3, 2, 2, 1], bassBoost: 2, stereoWidth: 1.2 },
+  { id: 'genre-punjabi', name: 'Punjabi', group: 'Genres', bands: [5, 4, 2, 0, -1, 0, 1, 2, 2, 1], bassBoost: 4, stereoWidth: 1.1 },
+  { id: 'genre-rock', name: 'Rock', group: 'Genres', bands: [4, 3, 2, 0, -1, -1, 1, 3, 4, 4], bassBoost: 2, stereoWidth: 1.2 },
+  { id: 'genre-tamil', name: 'Tamil', group: 'Genres', bands: [3, 2, 1, 0, 1, 2, 3, 2, 1, 1], bassBoost: 2, stereoWidth: 1.1 },
+  { id: 'genre-electronic', name: 'Electronic', group: 'Genres', bands: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5], bassBoost: 4, stereoWidth: 1.3 },
+  { id: 'genre-hip-hop', name: 'Hip-Hop', group: 'Genres', bands: [5, 4, 1, 2, -1, -1, 1, 0, 1, 2], bassBoost: 5, stereoWidth: 1 },
+  { id: 'genre-jazz', name: 'Jazz', group: 'Genres', bands: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3], bassBoost: 0, stereoWidth: 1.1 },
+  { id: 'genre-classical', name: 'Classical', group: 'Genres', bands: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4], bassBoost: 0, stereoWidth: 1.2 },
+  { id: 'genre-telugu', name: 'Telugu', group: 'Genres', bands: [3, 3, 1, 0, 1, 2, 2, 2, 1, 1], bassBoost: 3, stereoWidth: 1.1 },
+  { id: 'genre-k-pop', name: 'K-Pop', group: 'Genres', bands: [2, 2, 1, 1, 2, 2, 2, 3, 3, 2], bassBoost: 1, stereoWidth: 1.2 },
+  { id: 'genre-latin', name: 'Latin', group: 'Genres', bands: [3, 2, 0, 0, -1, -1, -1, 0, 3, 4], bassBoost: 2, stereoWidth: 1.2 }
+];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Coerce persisted or imported settings into a complete, in-range object
+export const normalizeEqSettings = (settings) => {
+  const merged = { ...DEFAULT_EQ_SETTINGS, ...(settings || {}) };
+  const bands = Array.isArray(merged.bands) && merged.bands.length === EQ_BANDS.length
+    ? merged.bands
+    : flat();
+
+  return {
+    enabled: !!merged.enabled,
+    presetId: merged.presetId || null,
+    bands: bands.map(gain => clamp(Number(gain) || 0, -EQ_GAIN_RANGE, EQ_GAIN_RANGE)),
+    bassBoost: clamp(Number(merged.bassBoost) || 0, 0, BASS_BOOST_MAX),
+    stereoWidth: clamp(Number(merged.stereoWidth ?? 1), STEREO_WIDTH_RANGE[0], STEREO_WIDTH_RANGE[1])
+  };
+};
+
+export const createEffectsChain = (audioContext) => {
+  // Force two channels up front so mono previews still reach both sides of the widener
+  const input = audioContext.createGain();
+  input.channelCount = 2;
+  input.channelCountMode = 'explicit';
+  input.channelInterpretation = 'speakers';
+
+  const filters = EQ_BANDS.map((frequency, index) => {
+    const filter = audioContext.createBiquadFilter();
+    if (index === 0) {
+      filter.type = 'lowshelf';
+    } else if (index === EQ_BANDS.length - 1) {
+      filter.type = 'highshelf';
+    } else {
+      filter.type = 'peaking';
+      filter.Q.value = PEAKING_Q;
+    }
+    filter.frequency.value = frequency;
+    filter.gain.value = 0;
+    return filter;
+  });
+
+  const bassBoost = audioContext.createBiquadFilter();
+  bassBoost.type = 'lowshelf';
+  bassBoost.frequency.value = BASS_BOOST_FREQUENCY;
+  bassBoost.gain.value = 0;
+
+  // Mid/side widener folded into a 2x2 channel matrix:
+  // L' = a*L + b*R, R' = b*L + a*R with a = (1 + width) / 2, b = (1 - width) / 2
+  const splitter = audioContext.createChannelSplitter(2);
+  const merger = audioContext.createChannelMerger(2);
+  const leftToLeft = audioContext.createGain();
+  const rightToLeft = audioContext.createGain();
+  const leftToRight = audioContext.createGain();
+  const rightToRight = audioContext.createGain();
+
+  splitter.connect(leftToLeft, 0);
+  splitter.connect(leftToRight, 0);
+  splitter.connect(rightToLeft, 1);
+  splitter.connect(rightToRight, 1);
+  leftToLeft.connect(merger, 0, 0);
+  rightToLeft.connect(merger, 0, 0);
+  leftToRight.connect(merger, 0, 1);
+  rightToRight.connect(merger, 0, 1);
+
+  const output = audioContext.createGain();
+
+  [input, ...filters, bassBoost, splitter].reduce((from, to) => {
+    from.connect(to);
+    return to;
+  });
+  merger.connect(output);
+
+  const setParam = (param, value) => {
+    param.setTargetAtTime(value, audioContext.currentTime, 0.02);
+  };
+
+  const apply = (rawSettings) => {
+    const settings = normalizeEqSettings(rawSettings);
+    const active = settings.enabled;
+
+    filters.forEach((filter, index) => {
+      setParam(filter.gain, active ? settings.bands[index] : 0);
+    });
+    setParam(bassBoost.gain, active ? settings.bassBoost : 0);
+
+    const width = active ? settings.stereoWidth : 1;
+    const direct = (1 + width) / 2;
+    const cross = (1 - width) / 2;
+    setParam(leftToLeft.gain, direct);
+    setParam(rightToRight.gain, direct);
+    setParam(rightToLeft.gain, cross);
+    setParam(leftToRight.gain, cross);
+  };
+
+  apply(DEFAULT_EQ_SETTINGS);
+
+  return { input, output, apply };
+};
@@ -0,0 +1,200 @@
+// Synthetic demo audio: a short clip generated for each song, so the whole player
+// works without network access or preview URLs. Clips are deterministic; the same
+// song always sounds the same, and its genre picks the style.
+
+export const DEMO_CLIP_SECONDS = 30;
+const DEMO_SAMPLE_RATE = 22050;
+const MAX_CACHED_CLIPS = 20;
+
+const clipCache = new Map();
+
+// FNV-1a, so the seed only depends on the song's identity
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Small seeded PRNG (mulberry32)
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const PATTERNS = [
+  { pattern: 'beat', keywords: ['electronic', 'dance', 'edm', 'house', 'techno', 'k-pop'] },
+  { pattern: 'groove', keywords: ['hip-hop', 'hip hop', 'rap', 'latin', 'reggae', 'r&b'] },
+  { pattern: 'power', keywords: ['rock', 'metal', 'punk', 'alternative'] },
+  { pattern: 'smooth', keywords: ['jazz', 'blues', 'soul'] },
+  { pattern: 'orchestra', keywords: ['classical', 'orchestra', 'piano'] },
+  { pattern: 'raga', keywords: ['bollywood', 'punjabi', 'tamil', 'telugu', 'indian', 'desi'] }
+];
+
+export const getDemoPattern = (song) => {
+  const genres = (song.genres || []).join(' ').toLowerCase();
+  const match = PATTERNS.find(({ keywords }) => keywords.some(keyword => genres.includes(keyword)));
+  return match ? match.pattern : 'melody';
+};
+
+// Scale steps in semitones used for the melody
+const SCALES = {
+  melody: [0, 2, 4, 7, 9, 12],
+  beat: [0, 3, 5, 7, 10, 12],
+  groove: [0, 3, 5, 6, 7, 10],
+  power: [0, 5, 7, 12],
+  smooth: [0, 2, 3, 5, 7, 9, 10],
+  orchestra: [0, 2, 4, 5, 7, 9, 11, 12],
+  raga: [0, 1, 4, 5, 7, 8, 11, 12]
+};
+
+const tone = (frequency, time) => Math.sin(2 * Math.PI * frequency * time);
+
+// Fill `channels` (two Float32Arrays) with the clip for `song`
+const synthesize = (song, channels, sampleRate) => {
+  const seed = hashString(song.spotify_id || song.id || `${song.name}|${song.artist}`);
+  const random = createRandom(seed);
+  const pattern = getDemoPattern(song);
+  const scale = SCALES[pattern];
+
+  const baseFreq = 180 + random() * 160; // 180-340 Hz
+  const tempo = 80 + Math.floor(random() * 60); // BPM
+  const beatLength = 60 / tempo;
+  const melody = Array.from({ length: 16 }, () => scale[Math.floor(random() * scale.length)]);
+  const pan = 0.15 + random() * 0.2;
+  const length = channels[0].length;
+
+  for (let i = 0; i < length; i++) {
+    const time = i / sampleRate;
+    const beat = time / beatLength;
+    const beatPhase = beat % 1;
+    const step = Math.floor(beat) % melody.length;
+    const noteFreq = baseFreq * Math.pow(2, melody[step] / 12);
+    let lead = 0;
+    let backing = 0;
+
+    switch (pattern) {
+      case 'beat':
+        lead = tone(noteFreq * 2, time) * 0.15 * Math.exp(-beatPhase * 6);
+        backing = tone(50 + 60 * Math.exp(-beatPhase * 20), time) * 0.5 * Math.exp(-beatPhase * 8); // kick
+        break;
+
+      case 'groove':
+        lead = tone(noteFreq, time) * 0.2 * Math.exp(-beatPhase * 3);
+        backing = tone(baseFreq / 4, time) * 0.35 * (beatPhase < 0.5 ? 1 : 0.3);
+        backing += tone(45 + 40 * Math.exp(-((beat * 2) % 1) * 25), time) * 0.35 * Math.exp(-((beat * 2) % 1) * 10);
+        break;
+
+      case 'power':
+        lead = (tone(noteFreq, time) + tone(noteFreq * 1.5, time) * 0.6 + tone(noteFreq * 2, time) * 0.3) * 0.2;
+        lead = Math.tanh(lead * 3) * 0.3 * Math.exp(-beatPhase * 1.5); // distorted chord
+        backing = tone(noteFreq / 2, time) * 0.2;
+        break;
+
+      case 'smooth':
+        lead = tone(noteFreq * (1 + tone(5, time) * 0.004), time) * 0.25 * (1 - beatPhase * 0.5);
+        backing = (tone(baseFreq, time) + tone(baseFreq * 1.25, time) + tone(baseFreq * 1.5, time)) * 0.06;
+        break;
+
+      case 'orchestra':
+        lead = (tone(noteFreq, time) + tone(noteFreq * 2, time) * 0.3) * 0.18 * Math.min(beatPhase * 4, 1);
+        backing = (tone(baseFreq / 2, time) + tone(baseFreq * 0.75, time) + tone(baseFreq, time)) * 0.07;
+        break;
+
+      case 'raga':
+        lead = tone(noteFreq * (1 + tone(6, time) * 0.006), time) * 0.22;
+        backing = (tone(baseFreq / 2, time) + tone(baseFreq * 0.75, time) * 0.6) * 0.1; // drone
+        backing += tone(90 + 80 * Math.exp(-beatPhase * 12), time) * 0.25 * Math.exp(-beatPhase * 6); // tabla-like hit
+        break;
+
+      default: // melody
+        lead = (tone(noteFreq, time) + tone(noteFreq * 2, time) * 0.3) * 0.22 * Math.exp(-beatPhase * 2);
+        backing = tone(baseFreq / 2, time) * 0.1;
+        break;
+    }
+
+    // Fade in and out
+    const envelope = Math.min(time * 2, 1) * Math.min((DEMO_CLIP_SECONDS - time) * 2, 1);
+    channels[0][i] = Math.max(-1, Math.min(1, (lead * (1 - pan) + backing) * envelope));
+    channels[1][i] = Math.max(-1, Math.min(1, (lead * (1 + pan) + backing) * envelope));
+  }
+};
+
+// Convert an AudioBuffer (or anything with length, sampleRate, numberOfChannels
+// and getChannelData) to a 16-bit PCM WAV file
+export const audioBufferToWav = (buffer) => {
+  const length = buffer.length;
+  const numberOfChannels = buffer.numberOfChannels;
+  const sampleRate = buffer.sampleRate;
+  const arrayBuffer = new ArrayBuffer(44 + length * numberOfChannels * 2);
+  const view = new DataView(arrayBuffer);
+
+  // WAV header
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + length * numberOfChannels * 2, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numberOfChannels * 2, true);
+  view.setUint16(32, numberOfChannels * 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, 'data');
+  view.setUint32(40, length * numberOfChannels * 2, true);
+
+  // Convert float samples to 16-bit PCM
+  const channels = Array.from({ length: numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < numberOfChannels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+      view.setInt16(offset, sample * 0x7FFF, true);
+      offset += 2;
+    }
+  }
+
+  return arrayBuffer;
+};
+
+// Blob URL of the demo clip for `song`. Recently generated clips are reused.
+export const generateAudioUrl = (song) => {
+  const key = song.spotify_id || song.id || `${song.name}|${song.artist}`;
+  if (clipCache.has(key)) {
+    return clipCache.get(key);
+  }
+
+  const length = DEMO_CLIP_SECONDS * DEMO_SAMPLE_RATE;
+  const channels = [new Float32Array(length), new Float32Array(length)];
+  synthesize(song, channels, DEMO_SAMPLE_RATE);
+
+  const wav = audioBufferToWav({
+    length,
+    sampleRate: DEMO_SAMPLE_RATE,
+    numberOfChannels: 2,
+    getChannelData: (channel) => channels[channel]
+  });
+  const url = URL.createObjectURL(new Blob([wav], { type: 'audio/wav' }));
+
+  clipCache.set(key, url);
+  if (clipCache.size > MAX_CACHED_CLIPS) {
+    const [oldestKey, oldestUrl] = clipCache.entries().next().value;
+    clipCache.delete(oldestKey);
+    URL.revokeObjectURL(oldestUrl);
+  }
+  return url;
+};
@@ -0,0 +1,145 @@
+// Offline copies of preview audio, stored as blobs in IndexedDB. Each download
+// remembers which collections (a playlist, the favorites, or single songs) asked
+// for it, so purging one collection keeps songs another collection still needs.
+
+import axios from 'axios';
+import { STORES, idbClear, idbDelete, idbGet, idbGetAll, idbSet } from './idb';
+import { getPreviewCacheKey, resolvePreview } from './preview-resolver';
+
+export const SINGLE_SONGS_COLLECTION = { id: 'songs', name: 'Single songs' };
+export const FAVORITES_COLLECTION = { id: 'favorites', name: 'Favorites' };
+
+export const playlistCollection = (playlist) => ({ id: `playlist:${playlist.id}`, name: playlist.name });
+
+export const getDownloadKey = getPreviewCacheKey;
+
+// Only what the storage manager and offline playback need
+const songSnapshot = (song) => ({
+  id: song.id,
+  spotify_id: song.spotify_id,
+  name: song.name,
+  artist: song.artist,
+  album: song.album,
+  image_url: song.image_url,
+  duration_ms: song.duration_ms
+});
+
+const withoutBlob = ({ blob, ...entry }) => entry;
+
+const addCollection = (collections, collection) => (
+  collections.some(c => c.id === collection.id) ? collections : [...collections, collection]
+);
+
+export const getDownloads = async () => {
+  const entries = await idbGetAll(STORES.downloads);
+  return entries
+    .map(withoutBlob)
+    .sort((a, b) => b.downloadedAt - a.downloadedAt);
+};
+
+export const getDownloadBlob = async (song) => {
+  try {
+    const entry = await idbGet(STORES.downloads, getDownloadKey(song));
+    return entry ? entry.blob : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Download one song into `collection`. Songs already stored are only tagged
+// with the collection. Throws when no preview can be found or fetched.
+export const downloadSong = async (song, collection = SINGLE_SONGS_COLLECTION) => {
+  const key = getDownloadKey(song);
+  const existing = await idbGet(STORES.downloads, key);
+  if (existing) {
+    const entry = { ...existing, collections: addCollection(existing.collections, collection) };
+    await idbSet(STORES.downloads, key, entry);
+    return withoutBlob(entry);
+  }
+
+  const preview = await resolvePreview(song);
+  if (!preview) {
+    throw new Error(`No preview available for "${song.name}"`);
+  }
+
+  const response = await axios.get(preview.url, { responseType: 'blob' });
+  const blob = response.data;
+  const entry = {
+    key,
+    song: songSnapshot(song),
+    blob,
+    size: blob.size,
+    type: blob.type,
+    providerId: preview.providerId,
+    collections: [collection],
+    downloadedAt: Date.now()
+  };
+  await idbSet(STORES.downloads, key, entry);
+  return withoutBlob(entry);
+};
+
+// Download songs one at a time; a failed song doesn't stop the rest
+export const downloadSongs = async (songs, collection, onProgress) => {
+  const result = { downloaded: 0, failed: [] };
+  for (const [index, song] of songs.entries()) {
+    try {
+      await downloadSong(song, collection);
+      result.downloaded += 1;
+    } catch (error) {
+      console.warn(`Failed to download "${song.name}":`, error.message || error);
+      result.failed.push(song);
+    }
+    if (onProgress) {
+      onProgress(index + 1, songs.length);
+    }
+  }
+  return result;
+};
+
+export const removeDownload = (song) => idbDelete(STORES.downloads, getDownloadKey(song));
+
+// Untag every song from `collectionId`, deleting songs no other collection holds
+export const purgeCollection = async (collectionId) => {
+  const entries = await idbGetAll(STORES.downloads);
+  for (const entry of entries) {
+    if (!entry.collections.some(c => c.id === collectionId)) continue;
+
+    const collections = entry.collections.filter(c => c.id !== collectionId);
+    if (collections.length === 0) {
+      await idbDelete(STORES.downloads, entry.key);
+    } else {
+      await idbSet(STORES.downloads, entry.key, { ...entry, collections });
+    }
+  }
+};
+
+export const clearDownloads = () => idbClear(STORES.downloads);
+
+// Per-collection usage. A song shared by several collections counts toward each.
+export const summarizeDownloads = (downloads) => {
+  const byCollection = new Map();
+  downloads.forEach(entry => {
+    entry.collections.forEach(collection => {
+      const summary = byCollection.get(collection.id) || { ...collection, songCount: 0, size: 0 };
+      summary.songCount += 1;
+      summary.size += entry.size;
+      byCollection.set(collection.id, summary);
+    });
+  });
+  return {
+    totalSize: downloads.reduce((sum, entry) => sum + entry.size, 0),
+    collections: Array.from(byCollection.values()).sort((a, b) => b.size - a.size)
+  };
+};
+
+// Browser-wide quota for the origin, when the Storage API is available
+export const getStorageEstimate = async () => {
+  if (!navigator.storage || !navigator.storage.estimate) {
+    return null;
+  }
+  try {
+    return await navigator.storage.estimate();
+  } catch (error) {
+    return null;
+  }
+};
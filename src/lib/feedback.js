@@ -0,0 +1,84 @@
+// Implicit feedback: signals the player picks up without asking (quick skips,
+// completions, replays, queueing) that recommendations can learn from. Signals
+// are batched per user and kept in storage until sent, so a closed tab or a
+// failed request doesn't lose them.
+
+import { loadJSON, removeJSON, saveJSON } from './storage';
+
+const PENDING_KEY_PREFIX = 'feedback-pending:';
+const BATCH_SIZE = 20;
+const FLUSH_DELAY = 30 * 1000;
+
+const pendingKey = (userId) => `${PENDING_KEY_PREFIX}${userId || 'guest'}`;
+
+// Keyed like the storage, so switching accounts never mixes users' signals
+const flushTimers = new Map();
+const flushing = new Map();
+
+const cancelFlushTimer = (key) => {
+  clearTimeout(flushTimers.get(key));
+  flushTimers.delete(key);
+};
+
+const scheduleFlush = (userId, send) => {
+  const key = pendingKey(userId);
+  if (flushTimers.has(key)) return;
+
+  flushTimers.set(key, setTimeout(() => {
+    flushTimers.delete(key);
+    flushFeedback(userId, send).catch(error => {
+      console.warn('Failed to send listening feedback:', error.message || error);
+    });
+  }, FLUSH_DELAY));
+};
+
+// Send pending signals through `send(signals)`, at most BATCH_SIZE per call.
+// Whatever is still pending afterwards (recorded mid-flight, or left by a
+// failed send) goes out with the next scheduled flush.
+export const flushFeedback = (userId, send) => {
+  const key = pendingKey(userId);
+  cancelFlushTimer(key);
+
+  if (!flushing.has(key)) {
+    const run = async () => {
+      const signals = loadJSON(key, []);
+      for (let start = 0; start < signals.length; start += BATCH_SIZE) {
+        const batch = signals.slice(start, start + BATCH_SIZE);
+        await send(batch);
+        // New signals are only ever appended, so the sent ones are at the front
+        saveJSON(key, loadJSON(key, []).slice(batch.length));
+      }
+    };
+    flushing.set(key, run().finally(() => {
+      flushing.delete(key);
+      if (loadJSON(key, []).length > 0) {
+        scheduleFlush(userId, send);
+      }
+    }));
+  }
+  return flushing.get(key);
+};
+
+// Queue a `type` signal ('skip', 'complete', 'replay' or 'queue') for `song`.
+// Full batches go out right away, others after a short delay.
+export const recordFeedback = (userId, type, song, send) => {
+  const pending = [
+    ...loadJSON(pendingKey(userId), []),
+    { type, song_id: song.id || song.spotify_id, created_at: new Date().toISOString() }
+  ];
+  saveJSON(pendingKey(userId), pending);
+
+  if (pending.length >= BATCH_SIZE) {
+    flushFeedback(userId, send).catch(error => {
+      console.warn('Failed to send listening feedback:', error.message || error);
+    });
+  } else {
+    scheduleFlush(userId, send);
+  }
+};
+
+// Drop unsent signals, e.g. after opting out
+export const discardFeedback = (userId) => {
+  cancelFlushTimer(pendingKey(userId));
+  removeJSON(pendingKey(userId));
+};
@@ -0,0 +1,113 @@
+import { discardFeedback, flushFeedback, recordFeedback } from './feedback';
+import { loadJSON, saveJSON } from './storage';
+
+const song = (id) => ({ id: `song-${id}`, name: `Song ${id}` });
+
+const pending = (userId) => loadJSON(`feedback-pending:${userId}`, []);
+
+const signals = (count) => Array.from({ length: count }, (_, i) => (
+  { type: 'skip', song_id: `song-${i}`, created_at: new Date().toISOString() }
+));
+
+const record = (userId, count, send) => {
+  for (let i = 0; i < count; i++) {
+    recordFeedback(userId, 'skip', song(i), send);
+  }
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  window.localStorage.clear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('sends pending signals in batches of at most 20', async () => {
+  const send = jest.fn().mockResolvedValue();
+  saveJSON('feedback-pending:batches', signals(45));
+
+  await flushFeedback('batches', send);
+
+  expect(send.mock.calls.map(([batch]) => batch.length)).toEqual([20, 20, 5]);
+  expect(pending('batches')).toEqual([]);
+});
+
+test('flushes right away once a batch is full', async () => {
+  const send = jest.fn().mockResolvedValue();
+  record('full', 19, send);
+  expect(send).not.toHaveBeenCalled();
+
+  record('full', 1, send);
+  expect(send).toHaveBeenCalledTimes(1);
+  expect(send.mock.calls[0][0]).toHaveLength(20);
+});
+
+test('flushes a partial batch after the delay', async () => {
+  const send = jest.fn().mockResolvedValue();
+  record('delayed', 3, send);
+
+  jest.advanceTimersByTime(29 * 1000);
+  expect(send).not.toHaveBeenCalled();
+
+  jest.advanceTimersByTime(1000);
+  expect(send).toHaveBeenCalledTimes(1);
+  expect(send.mock.calls[0][0].map(signal => signal.song_id)).toEqual(['song-0', 'song-1', 'song-2']);
+});
+
+test('keeps signals and retries later when sending fails', async () => {
+  const send = jest.fn()
+    .mockRejectedValueOnce(new Error('offline'))
+    .mockResolvedValue();
+  record('retry', 2, send);
+
+  await expect(flushFeedback('retry', send)).rejects.toThrow('offline');
+  expect(pending('retry')).toHaveLength(2);
+
+  jest.advanceTimersByTime(30 * 1000);
+  expect(send).toHaveBeenCalledTimes(2);
+  expect(send.mock.calls[1][0]).toHaveLength(2);
+});
+
+test('re-arms the flush for signals recorded while a batch is in flight', async () => {
+  let resolveSend;
+  const send = jest.fn(() => new Promise(resolve => { resolveSend = resolve; }));
+  record('in-flight', 2, send);
+
+  const flushing = flushFeedback('in-flight', send);
+  record('in-flight', 1, send);
+  resolveSend();
+  await flushing;
+
+  expect(pending('in-flight')).toHaveLength(1);
+  expect(send).toHaveBeenCalledTimes(1);
+  jest.advanceTimersByTime(30 * 1000);
+  expect(send).toHaveBeenCalledTimes(2);
+  expect(send.mock.calls[1][0]).toHaveLength(1);
+});
+
+test('keeps each user\'s signals and flushes apart', async () => {
+  const sendA = jest.fn(() => new Promise(() => {}));
+  const sendB = jest.fn().mockResolvedValue();
+  record('user-a', 1, sendA);
+  record('user-b', 1, sendB);
+
+  flushFeedback('user-a', sendA);
+  await flushFeedback('user-b', sendB);
+
+  expect(sendB).toHaveBeenCalledTimes(1);
+  expect(pending('user-b')).toEqual([]);
+  expect(pending('user-a')).toHaveLength(1);
+});
+
+test('discarding drops unsent signals and the pending flush', () => {
+  const send = jest.fn().mockResolvedValue();
+  record('discard', 3, send);
+
+  discardFeedback('discard');
+  jest.advanceTimersByTime(30 * 1000);
+
+  expect(pending('discard')).toEqual([]);
+  expect(send).not.toHaveBeenCalled();
+});
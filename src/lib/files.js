@@ -0,0 +1,21 @@
+// Saving and reading user files in the browser
+
+// Offer `content` (a string or Blob) as a download named `fileName`
+export const downloadFile = (content, fileName, mimeType = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Timestamped file name, e.g. soundscout-library-2024-05-01.json
+export const datedFileName = (base, extension, date = new Date()) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${base}-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}.${extension}`;
+};
@@ -0,0 +1,70 @@
+// Listening history. Play events are kept locally per user, newest first, and
+// flagged once the backend has them; anything unsent goes out with the next sync.
+
+import { loadJSON, removeJSON, saveJSON } from './storage';
+
+const HISTORY_KEY_PREFIX = 'history:';
+const MAX_EVENTS = 500;
+
+// Plays shorter than this count as skips
+export const SKIP_THRESHOLD_SECONDS = 10;
+
+// Screens a play can start from, keyed by route
+export const HISTORY_SOURCES = {
+  '/': 'Home',
+  '/discover': 'Discover',
+  '/playlists': 'Playlists',
+  '/my-music': 'My Music',
+  '/settings': 'Settings'
+};
+
+const historyKey = (userId) => `${HISTORY_KEY_PREFIX}${userId || 'guest'}`;
+
+// In-flight syncs, one per user
+const syncing = new Map();
+
+export const getHistory = (userId) => loadJSON(historyKey(userId), []);
+
+export const addHistoryEvent = (userId, event) => {
+  const events = [{ ...event, synced: false }, ...getHistory(userId)].slice(0, MAX_EVENTS);
+  saveJSON(historyKey(userId), events);
+  return events;
+};
+
+// Send unsynced events through `send(events)`, marking them synced once it resolves.
+// Overlapping calls share one request; events recorded meanwhile wait for the next sync.
+export const syncHistory = (userId, send) => {
+  const key = historyKey(userId);
+  if (!syncing.has(key)) {
+    const run = async () => {
+      const unsynced = getHistory(userId).filter(event => !event.synced);
+      if (unsynced.length === 0) return;
+
+      await send(unsynced.map(({ synced, ...event }) => event));
+      const sentIds = new Set(unsynced.map(event => event.id));
+      saveJSON(key, getHistory(userId).map(event => (
+        sentIds.has(event.id) ? { ...event, synced: true } : event
+      )));
+    };
+    syncing.set(key, run().finally(() => {
+      syncing.delete(key);
+    }));
+  }
+  return syncing.get(key);
+};
+
+// Merge in events from a library import. They count as synced: the device that
+// recorded them has sent them already.
+export const importHistoryEvents = (userId, events) => {
+  const existing = getHistory(userId);
+  const knownIds = new Set(existing.map(event => event.id));
+  const merged = [
+    ...existing,
+    ...events.filter(event => !knownIds.has(event.id)).map(event => ({ ...event, synced: true }))
+  ].sort((a, b) => Date.parse(b.started_at) - Date.parse(a.started_at));
+  saveJSON(historyKey(userId), merged.slice(0, MAX_EVENTS));
+};
+
+export const clearHistory = (userId) => {
+  removeJSON(historyKey(userId));
+};
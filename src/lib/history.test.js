@@ -0,0 +1,98 @@
+import { addHistoryEvent, clearHistory, getHistory, importHistoryEvents, syncHistory } from './history';
+
+const play = (id, startedAt = '2026-10-01T12:00:00.000Z') => ({
+  id,
+  song_id: `song-${id}`,
+  started_at: startedAt,
+  seconds_listened: 30,
+  completed: false
+});
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+test('keeps events newest first and unsynced', () => {
+  addHistoryEvent('newest', play('a'));
+  addHistoryEvent('newest', play('b'));
+
+  expect(getHistory('newest').map(event => event.id)).toEqual(['b', 'a']);
+  expect(getHistory('newest').every(event => !event.synced)).toBe(true);
+});
+
+test('sends unsynced events without the flag and marks them synced', async () => {
+  const send = jest.fn().mockResolvedValue();
+  addHistoryEvent('sync', play('a'));
+
+  await syncHistory('sync', send);
+
+  expect(send).toHaveBeenCalledWith([play('a')]);
+  expect(getHistory('sync')[0].synced).toBe(true);
+
+  await syncHistory('sync', send);
+  expect(send).toHaveBeenCalledTimes(1);
+});
+
+test('leaves events unsynced when sending fails', async () => {
+  addHistoryEvent('failed', play('a'));
+
+  await expect(syncHistory('failed', () => Promise.reject(new Error('offline')))).rejects.toThrow('offline');
+
+  expect(getHistory('failed')[0].synced).toBe(false);
+});
+
+test('shares one sync per user and keeps later events for the next one', async () => {
+  let resolveSend;
+  const send = jest.fn(() => new Promise(resolve => { resolveSend = resolve; }));
+  addHistoryEvent('shared', play('a'));
+
+  const first = syncHistory('shared', send);
+  addHistoryEvent('shared', play('b'));
+  expect(syncHistory('shared', send)).toBe(first);
+
+  resolveSend();
+  await first;
+
+  expect(send).toHaveBeenCalledTimes(1);
+  expect(getHistory('shared').map(event => [event.id, event.synced])).toEqual([['b', false], ['a', true]]);
+});
+
+test('does not hold one user\'s sync behind another\'s', async () => {
+  const stuck = jest.fn(() => new Promise(() => {}));
+  const send = jest.fn().mockResolvedValue();
+  addHistoryEvent('user-a', play('a'));
+  addHistoryEvent('user-b', play('b'));
+
+  syncHistory('user-a', stuck);
+  await syncHistory('user-b', send);
+
+  expect(send).toHaveBeenCalledWith([play('b')]);
+  expect(getHistory('user-b')[0].synced).toBe(true);
+  expect(getHistory('user-a')[0].synced).toBe(false);
+});
+
+test('imports new events as synced, in date order', () => {
+  addHistoryEvent('import', play('a', '2026-10-02T12:00:00.000Z'));
+
+  importHistoryEvents('import', [
+    play('a', '2026-10-02T12:00:00.000Z'),
+    play('b', '2026-10-03T12:00:00.000Z'),
+    play('c', '2026-10-01T12:00:00.000Z')
+  ]);
+
+  expect(getHistory('import').map(event => [event.id, event.synced])).toEqual([
+    ['b', true],
+    ['a', false],
+    ['c', true]
+  ]);
+});
+
+test('clears one user\'s history only', () => {
+  addHistoryEvent('keep', play('a'));
+  addHistoryEvent('clear', play('b'));
+
+  clearHistory('clear');
+
+  expect(getHistory('clear')).toEqual([]);
+  expect(getHistory('keep')).toHaveLength(1);
+});
@@ -0,0 +1,73 @@
+// Minimal promise wrapper around the app's IndexedDB database. Every object store
+// is declared here; adding one means adding its name and bumping DB_VERSION.
+
+const DB_NAME = 'soundscout';
+const DB_VERSION = 4;
+
+export const STORES = {
+  previewCache: 'preview-cache',
+  downloads: 'downloads',
+  loudness: 'loudness',
+  waveforms: 'waveforms'
+};
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach(name => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name);
+          }
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Allow a later call to try again
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, run) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = run(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const idbGet = (storeName, key) => (
+  withStore(storeName, 'readonly', store => store.get(key))
+);
+
+export const idbGetAll = (storeName) => (
+  withStore(storeName, 'readonly', store => store.getAll())
+);
+
+export const idbSet = (storeName, key, value) => (
+  withStore(storeName, 'readwrite', store => store.put(value, key))
+);
+
+export const idbDelete = (storeName, key) => (
+  withStore(storeName, 'readwrite', store => store.delete(key))
+);
+
+export const idbClear = (storeName) => (
+  withStore(storeName, 'readwrite', store => store.clear())
+);
@@ -0,0 +1,289 @@
+// Library backup: export profile, favorite genres, ratings, favorites and
+// listening history as versioned JSON or flat CSV, and plan an import of such a
+// file against the current library. Planning is a pure dry run; the app writes
+// the planned changes through the API.
+
+export const LIBRARY_FORMAT = 'soundscout-library';
+export const LIBRARY_VERSION = 1;
+
+// How rating conflicts (same song, different stars) are settled
+export const CONFLICT_STRATEGIES = [
+  { id: 'newest', label: 'Keep newest', description: 'The more recent rating wins' },
+  { id: 'mine', label: 'Keep mine', description: 'Existing ratings and profile stay as they are' },
+  { id: 'import', label: 'Keep import', description: 'The file overwrites ratings and profile' }
+];
+
+const PROFILE_FIELDS = ['name', 'email', 'bio', 'avatar_color'];
+
+const CSV_COLUMNS = [
+  'type', 'key', 'value', 'song_id', 'song_name', 'artist', 'rating', 'timestamp',
+  'seconds_listened', 'completion', 'completed', 'skipped', 'source'
+];
+
+// --- Export ---
+
+export const buildLibraryExport = ({ user, ratings, favorites, history, songs }) => {
+  const songsById = new Map();
+  songs.forEach(song => {
+    if (song.id) songsById.set(song.id, song);
+    if (song.spotify_id) songsById.set(song.spotify_id, song);
+  });
+  const describe = (songId) => {
+    const song = songsById.get(songId);
+    return song ? { song_name: song.name, artist: song.artist } : {};
+  };
+
+  return {
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exported_at: new Date().toISOString(),
+    profile: Object.fromEntries(PROFILE_FIELDS.map(field => [field, user[field] ?? null])),
+    favorite_genres: user.favorite_genres || [],
+    ratings: ratings.map(rating => ({
+      song_id: rating.song_id,
+      rating: rating.rating,
+      created_at: rating.created_at || null,
+      ...describe(rating.song_id)
+    })),
+    favorites: favorites.map(favorite => ({
+      song_id: favorite.song_id,
+      created_at: favorite.created_at || null,
+      ...describe(favorite.song_id)
+    })),
+    history: history.map(({ synced, ...event }) => event)
+  };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per record, with a `type` column saying what each row holds
+export const libraryToCsv = (library) => {
+  const rows = [
+    { type: 'meta', key: 'format', value: library.format },
+    { type: 'meta', key: 'version', value: library.version },
+    { type: 'meta', key: 'exported_at', value: library.exported_at },
+    ...PROFILE_FIELDS.map(field => ({ type: 'profile', key: field, value: library.profile[field] })),
+    ...library.favorite_genres.map(genre => ({ type: 'genre', value: genre })),
+    ...library.ratings.map(rating => ({ type: 'rating', ...rating, timestamp: rating.created_at })),
+    ...library.favorites.map(favorite => ({ type: 'favorite', ...favorite, timestamp: favorite.created_at })),
+    ...library.history.map(event => ({
+      type: 'history',
+      key: event.id,
+      song_id: event.song_id,
+      song_name: event.song?.name,
+      artist: event.song?.artist,
+      timestamp: event.started_at,
+      seconds_listened: event.seconds_listened,
+      completion: event.completion,
+      completed: event.completed,
+      skipped: event.skipped,
+      source: event.source
+    }))
+  ];
+
+  return [
+    CSV_COLUMNS.join(','),
+    ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))
+  ].join('\r\n');
+};
+
+// --- Import ---
+
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+const csvToLibrary = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header || !header.includes('type')) {
+    throw new Error('This CSV file has no "type" column');
+  }
+  const records = rows.map(cells => Object.fromEntries(header.map((column, index) => [column, cells[index] ?? ''])));
+  const meta = Object.fromEntries(records.filter(r => r.type === 'meta').map(r => [r.key, r.value]));
+  const orNull = (value) => (value === '' ? null : value);
+
+  return {
+    format: meta.format,
+    version: Number(meta.version),
+    exported_at: orNull(meta.exported_at),
+    profile: Object.fromEntries(records.filter(r => r.type === 'profile').map(r => [r.key, orNull(r.value)])),
+    favorite_genres: records.filter(r => r.type === 'genre').map(r => r.value),
+    ratings: records.filter(r => r.type === 'rating').map(r => ({
+      song_id: r.song_id,
+      rating: Number(r.rating),
+      created_at: orNull(r.timestamp),
+      song_name: orNull(r.song_name),
+      artist: orNull(r.artist)
+    })),
+    favorites: records.filter(r => r.type === 'favorite').map(r => ({
+      song_id: r.song_id,
+      created_at: orNull(r.timestamp),
+      song_name: orNull(r.song_name),
+      artist: orNull(r.artist)
+    })),
+    history: records.filter(r => r.type === 'history').map(r => ({
+      id: r.key,
+      song_id: r.song_id,
+      // Enough to show the entry and look the song up again
+      song: { id: r.song_id, name: r.song_name, artist: r.artist },
+      started_at: r.timestamp,
+      seconds_listened: Number(r.seconds_listened) || 0,
+      completion: Number(r.completion) || 0,
+      completed: r.completed === 'true',
+      skipped: r.skipped === 'true',
+      source: orNull(r.source)
+    }))
+  };
+};
+
+// Parse an exported file (JSON or CSV) into a library, checking the format and
+// dropping malformed records. Throws with a readable message.
+export const parseLibraryFile = (text, fileName = '') => {
+  const trimmed = text.trim();
+  let library;
+  if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('{')) {
+    try {
+      library = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error('This file is not valid JSON');
+    }
+  } else {
+    library = csvToLibrary(trimmed);
+  }
+
+  if (!library || library.format !== LIBRARY_FORMAT) {
+    throw new Error('This is not a SoundScout library export');
+  }
+  if (!(library.version >= 1 && library.version <= LIBRARY_VERSION)) {
+    throw new Error(`Unsupported library version ${library.version}; update SoundScout to import it`);
+  }
+
+  return {
+    ...library,
+    profile: library.profile || {},
+    favorite_genres: (library.favorite_genres || []).filter(genre => typeof genre === 'string' && genre),
+    ratings: (library.ratings || []).filter(rating => (
+      rating.song_id && Number.isInteger(rating.rating) && rating.rating >= 1 && rating.rating <= 5
+    )),
+    favorites: (library.favorites || []).filter(favorite => favorite.song_id),
+    history: (library.history || []).filter(event => event.id && event.song_id && !isNaN(Date.parse(event.started_at)))
+  };
+};
+
+const timeOf = (timestamp) => {
+  const time = Date.parse(timestamp);
+  return isNaN(time) ? null : time;
+};
+
+// Which side wins a rating conflict. Without timestamps on both sides, "newest"
+// keeps the existing rating.
+const importWins = (existing, incoming, strategy) => {
+  if (strategy === 'import') return true;
+  if (strategy === 'mine') return false;
+  const existingTime = timeOf(existing.created_at);
+  const incomingTime = timeOf(incoming.created_at);
+  return existingTime !== null && incomingTime !== null && incomingTime > existingTime;
+};
+
+// A file can hold several ratings for one song (e.g. a hand-edited CSV). The
+// newest counts; among undated ones, the last.
+const latestRatings = (ratings) => {
+  const bySong = new Map();
+  ratings.forEach(rating => {
+    const kept = bySong.get(rating.song_id);
+    const keptTime = kept && timeOf(kept.created_at);
+    const time = timeOf(rating.created_at);
+    if (!kept || keptTime === null || (time !== null && time >= keptTime)) {
+      bySong.set(rating.song_id, rating);
+    }
+  });
+  return Array.from(bySong.values());
+};
+
+// Dry run: what importing `library` into the current one would change. Imports
+// only ever add favorites, genres and history; ratings are created or, on a
+// conflict, updated when the import wins.
+export const planLibraryImport = (library, current, strategy) => {
+  const existingRatings = new Map(current.ratings.map(rating => [rating.song_id, rating]));
+  const ratings = { create: [], update: [], unchanged: 0, conflicts: 0 };
+  latestRatings(library.ratings).forEach(rating => {
+    const existing = existingRatings.get(rating.song_id);
+    if (!existing) {
+      ratings.create.push(rating);
+    } else if (existing.rating === rating.rating) {
+      ratings.unchanged += 1;
+    } else {
+      ratings.conflicts += 1;
+      if (importWins(existing, rating, strategy)) {
+        ratings.update.push({ ...rating, previous: existing.rating });
+      }
+    }
+  });
+
+  const favoriteIds = new Set(current.favorites.map(favorite => favorite.song_id));
+  const favorites = library.favorites.filter((favorite, index, all) => (
+    !favoriteIds.has(favorite.song_id) && all.findIndex(other => other.song_id === favorite.song_id) === index
+  ));
+
+  const genres = library.favorite_genres
+    .map(genre => genre.toLowerCase())
+    .filter((genre, index, all) => !current.user.favorite_genres?.includes(genre) && all.indexOf(genre) === index);
+
+  const historyIds = new Set(current.history.map(event => event.id));
+  const history = library.history.filter(event => !historyIds.has(event.id));
+
+  const profile = strategy === 'import'
+    ? Object.fromEntries(PROFILE_FIELDS
+      .filter(field => library.profile[field] && library.profile[field] !== current.user[field])
+      .map(field => [field, library.profile[field]]))
+    : {};
+
+  return {
+    ratings,
+    favorites,
+    genres,
+    history,
+    profile,
+    hasChanges: ratings.create.length + ratings.update.length + favorites.length + genres.length +
+      history.length + Object.keys(profile).length > 0
+  };
+};
@@ -0,0 +1,208 @@
+import {
+  LIBRARY_FORMAT,
+  LIBRARY_VERSION,
+  buildLibraryExport,
+  libraryToCsv,
+  parseLibraryFile,
+  planLibraryImport
+} from './library-transfer';
+
+const USER = {
+  id: 'user-1',
+  name: 'Ada, "the first"',
+  email: 'ada@example.com',
+  bio: 'Line one\nline two',
+  avatar_color: null,
+  favorite_genres: ['rock', 'jazz']
+};
+
+const SONGS = [
+  { id: 's1', name: 'First', artist: 'Alpha' },
+  { id: 's2', name: 'Second, Part 2', artist: 'Beta' }
+];
+
+const HISTORY_EVENT = {
+  id: 'h1',
+  song_id: 's1',
+  song: { id: 's1', name: 'First', artist: 'Alpha' },
+  started_at: '2026-10-01T12:00:00.000Z',
+  seconds_listened: 95,
+  completion: 0.5,
+  completed: false,
+  skipped: true,
+  source: 'Discover',
+  synced: true
+};
+
+const exportLibrary = () => buildLibraryExport({
+  user: USER,
+  ratings: [
+    { song_id: 's1', rating: 4, created_at: '2026-09-01T00:00:00.000Z' },
+    { song_id: 's2', rating: 2 }
+  ],
+  favorites: [{ song_id: 's2', created_at: '2026-09-02T00:00:00.000Z' }],
+  history: [HISTORY_EVENT],
+  songs: SONGS
+});
+
+const emptyCurrent = (user = { favorite_genres: [] }) => ({ user, ratings: [], favorites: [], history: [] });
+
+describe('export and parse', () => {
+  test('builds a versioned export without local sync flags', () => {
+    const library = exportLibrary();
+
+    expect(library.format).toBe(LIBRARY_FORMAT);
+    expect(library.version).toBe(LIBRARY_VERSION);
+    expect(library.profile).toEqual({
+      name: USER.name,
+      email: USER.email,
+      bio: USER.bio,
+      avatar_color: null
+    });
+    expect(library.ratings[1]).toEqual({
+      song_id: 's2',
+      rating: 2,
+      created_at: null,
+      song_name: 'Second, Part 2',
+      artist: 'Beta'
+    });
+    expect(library.history[0]).not.toHaveProperty('synced');
+  });
+
+  test('round-trips through JSON', () => {
+    const library = exportLibrary();
+
+    expect(parseLibraryFile(JSON.stringify(library), 'backup.json')).toEqual(library);
+  });
+
+  test('round-trips through CSV, quoting included', () => {
+    const library = exportLibrary();
+    const parsed = parseLibraryFile(libraryToCsv(library), 'backup.csv');
+
+    expect(parsed.profile).toEqual(library.profile);
+    expect(parsed.favorite_genres).toEqual(library.favorite_genres);
+    expect(parsed.ratings).toEqual(library.ratings);
+    expect(parsed.favorites).toEqual(library.favorites);
+    const { synced, ...event } = HISTORY_EVENT;
+    expect(parsed.history).toEqual([event]);
+  });
+
+  test('rejects files that are not library exports', () => {
+    expect(() => parseLibraryFile('{ nope', 'backup.json')).toThrow('This file is not valid JSON');
+    expect(() => parseLibraryFile(JSON.stringify({ format: 'other' }))).toThrow('This is not a SoundScout library export');
+    expect(() => parseLibraryFile('song,artist\r\nFirst,Alpha', 'songs.csv')).toThrow('This CSV file has no "type" column');
+  });
+
+  test('rejects versions it does not know', () => {
+    const newer = { ...exportLibrary(), version: LIBRARY_VERSION + 1 };
+    const broken = { ...exportLibrary(), version: 'one' };
+
+    expect(() => parseLibraryFile(JSON.stringify(newer))).toThrow(`Unsupported library version ${LIBRARY_VERSION + 1}`);
+    expect(() => parseLibraryFile(JSON.stringify(broken))).toThrow('Unsupported library version one');
+  });
+
+  test('drops malformed records', () => {
+    const library = parseLibraryFile(JSON.stringify({
+      format: LIBRARY_FORMAT,
+      version: 1,
+      favorite_genres: ['rock', '', 3],
+      ratings: [{ song_id: 's1', rating: 6 }, { song_id: 's2', rating: 3.5 }, { rating: 4 }, { song_id: 's3', rating: 5 }],
+      favorites: [{ created_at: null }, { song_id: 's1' }],
+      history: [{ ...HISTORY_EVENT, started_at: 'yesterday' }, { ...HISTORY_EVENT, id: 'h2' }]
+    }));
+
+    expect(library.profile).toEqual({});
+    expect(library.favorite_genres).toEqual(['rock']);
+    expect(library.ratings).toEqual([{ song_id: 's3', rating: 5 }]);
+    expect(library.favorites).toEqual([{ song_id: 's1' }]);
+    expect(library.history.map(event => event.id)).toEqual(['h2']);
+  });
+});
+
+describe('planLibraryImport', () => {
+  const incoming = (ratings, extra = {}) => ({
+    profile: { name: 'Imported name', email: USER.email },
+    favorite_genres: [],
+    ratings,
+    favorites: [],
+    history: [],
+    ...extra
+  });
+
+  const current = {
+    user: USER,
+    ratings: [
+      { song_id: 's1', rating: 4, created_at: '2026-09-01T00:00:00.000Z' },
+      { song_id: 's2', rating: 2 }
+    ],
+    favorites: [{ song_id: 's2' }],
+    history: [{ id: 'h1' }]
+  };
+
+  const library = incoming([
+    { song_id: 's1', rating: 5, created_at: '2026-09-05T00:00:00.000Z' },
+    { song_id: 's2', rating: 5, created_at: '2026-09-05T00:00:00.000Z' },
+    { song_id: 's3', rating: 3 }
+  ]);
+
+  test('creates new ratings and counts conflicts under every strategy', () => {
+    ['newest', 'mine', 'import'].forEach(strategy => {
+      const { ratings } = planLibraryImport(library, current, strategy);
+      expect(ratings.create.map(rating => rating.song_id)).toEqual(['s3']);
+      expect(ratings.conflicts).toBe(2);
+    });
+  });
+
+  test('"newest" only updates ratings that are dated on both sides and newer', () => {
+    const { ratings, profile } = planLibraryImport(library, current, 'newest');
+
+    expect(ratings.update).toEqual([{ ...library.ratings[0], previous: 4 }]);
+    expect(profile).toEqual({});
+  });
+
+  test('"mine" keeps existing ratings and profile', () => {
+    const { ratings, profile } = planLibraryImport(library, current, 'mine');
+
+    expect(ratings.update).toEqual([]);
+    expect(profile).toEqual({});
+  });
+
+  test('"import" overwrites conflicting ratings and changed profile fields', () => {
+    const { ratings, profile } = planLibraryImport(library, current, 'import');
+
+    expect(ratings.update.map(rating => [rating.song_id, rating.previous])).toEqual([['s1', 4], ['s2', 2]]);
+    expect(profile).toEqual({ name: 'Imported name' });
+  });
+
+  test('counts identical ratings as unchanged', () => {
+    const { ratings, hasChanges } = planLibraryImport(incoming([{ song_id: 's2', rating: 2 }]), current, 'import');
+
+    expect(ratings).toEqual({ create: [], update: [], unchanged: 1, conflicts: 0 });
+    expect(hasChanges).toBe(true); // the profile name still differs
+    expect(planLibraryImport(incoming([{ song_id: 's2', rating: 2 }]), current, 'mine').hasChanges).toBe(false);
+  });
+
+  test('keeps one rating per song: the newest, or the last undated one', () => {
+    const { ratings } = planLibraryImport(incoming([
+      { song_id: 's3', rating: 1, created_at: '2026-09-10T00:00:00.000Z' },
+      { song_id: 's3', rating: 5, created_at: '2026-09-01T00:00:00.000Z' },
+      { song_id: 's4', rating: 2 },
+      { song_id: 's4', rating: 4 }
+    ]), emptyCurrent(), 'newest');
+
+    expect(ratings.create.map(rating => [rating.song_id, rating.rating])).toEqual([['s3', 1], ['s4', 4]]);
+  });
+
+  test('only adds favorites, genres and history the library lacks', () => {
+    const plan = planLibraryImport(incoming([], {
+      favorite_genres: ['Rock', 'Pop', 'pop'],
+      favorites: [{ song_id: 's1' }, { song_id: 's2' }, { song_id: 's1' }],
+      history: [{ id: 'h1' }, { id: 'h2' }]
+    }), current, 'mine');
+
+    expect(plan.favorites).toEqual([{ song_id: 's1' }]);
+    expect(plan.genres).toEqual(['pop']);
+    expect(plan.history).toEqual([{ id: 'h2' }]);
+    expect(plan.hasChanges).toBe(true);
+  });
+});
@@ -0,0 +1,160 @@
+// Listening stats for a date range, computed from ratings, favorites and the
+// local listening history. Artists and genres are ranked by a score that mixes
+// all three: plays count once, favorites three times, and ratings pull up or
+// down depending on how far they are from three stars.
+
+import { SKIP_THRESHOLD_SECONDS } from './history';
+
+export const STATS_RANGES = [
+  { id: '7d', label: 'Last 7 days', days: 7 },
+  { id: '30d', label: 'Last 30 days', days: 30 },
+  { id: '90d', label: 'Last 90 days', days: 90 },
+  { id: 'year', label: 'This year' },
+  { id: 'all', label: 'All time' },
+  { id: 'custom', label: 'Custom range' }
+];
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FAVORITE_SCORE = 3;
+const TOP_LIMIT = 5;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Local calendar day as a whole number, so consecutive days differ by one (DST included)
+const dayNumber = (time) => Math.round(startOfDay(new Date(time)).getTime() / DAY_MS);
+
+// `{ from, to }` timestamps for a range id, `to` inclusive. Custom ranges take
+// YYYY-MM-DD dates; a missing end means today, a missing start means all time.
+export const getRangeBounds = (rangeId, custom = {}, now = new Date()) => {
+  const endOfToday = startOfDay(now).getTime() + DAY_MS - 1;
+  const range = STATS_RANGES.find(r => r.id === rangeId);
+
+  if (range?.days) {
+    return { from: startOfDay(now).getTime() - (range.days - 1) * DAY_MS, to: endOfToday };
+  }
+  if (rangeId === 'year') {
+    return { from: new Date(now.getFullYear(), 0, 1).getTime(), to: endOfToday };
+  }
+  if (rangeId === 'custom') {
+    const from = custom.from ? new Date(`${custom.from}T00:00:00`).getTime() : 0;
+    const to = custom.to ? new Date(`${custom.to}T00:00:00`).getTime() + DAY_MS - 1 : endOfToday;
+    return { from: isNaN(from) ? 0 : from, to: isNaN(to) ? endOfToday : to };
+  }
+  return { from: 0, to: endOfToday };
+};
+
+// Entries with an unreadable timestamp are left out. Older ratings and favorites
+// have none at all; with `allowUndated` those count for every range.
+const isInRange = (timestamp, { from, to }, { allowUndated = false } = {}) => {
+  if (!timestamp) return allowUndated;
+  const time = Date.parse(timestamp);
+  return !isNaN(time) && time >= from && time <= to;
+};
+
+const playDays = (events) => events
+  .map(event => Date.parse(event.started_at))
+  .filter(time => !isNaN(time))
+  .map(dayNumber);
+
+const computeStreaks = (days, today) => {
+  const sorted = [...new Set(days)].sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+  sorted.forEach((day, index) => {
+    run = index > 0 && day === sorted[index - 1] + 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  // Today isn't over yet, so a streak that ended yesterday is still current
+  const daySet = new Set(sorted);
+  let current = 0;
+  let day = daySet.has(today) ? today : today - 1;
+  while (daySet.has(day)) {
+    current += 1;
+    day -= 1;
+  }
+  return { current, longest };
+};
+
+const rank = (tally) => (
+  Array.from(tally.values())
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || b.minutes - a.minutes)
+    .slice(0, TOP_LIMIT)
+);
+
+export const computeListeningStats = ({ history = [], ratings = [], favorites = [], songs = [], range, now = new Date() }) => {
+  const songsById = new Map();
+  songs.forEach(song => {
+    if (song.id) songsById.set(song.id, song);
+    if (song.spotify_id) songsById.set(song.spotify_id, song);
+  });
+
+  const plays = history.filter(event => isInRange(event.started_at, range));
+  const rangeRatings = ratings.filter(rating => isInRange(rating.created_at, range, { allowUndated: true }));
+  const rangeFavorites = favorites.filter(favorite => isInRange(favorite.created_at, range, { allowUndated: true }));
+
+  const artists = new Map();
+  const genres = new Map();
+  const credit = (song, { score = 0, minutes = 0, play = false }) => {
+    if (!song) return;
+    const add = (tally, name) => {
+      const key = name.toLowerCase();
+      const entry = tally.get(key) || { name, plays: 0, minutes: 0, score: 0 };
+      entry.score += score;
+      entry.minutes += minutes;
+      if (play) entry.plays += 1;
+      tally.set(key, entry);
+    };
+    if (song.artist) add(artists, song.artist);
+    (song.genres || []).forEach(genre => add(genres, genre));
+  };
+
+  const byHour = new Array(24).fill(0);
+  const byDay = new Array(7).fill(0);
+  let secondsListened = 0;
+
+  plays.forEach(event => {
+    const started = new Date(event.started_at);
+    const minutes = event.seconds_listened / 60;
+    secondsListened += event.seconds_listened;
+    byHour[started.getHours()] += minutes;
+    byDay[started.getDay()] += minutes;
+
+    // Quick skips add to the time, but don't make an artist a favorite
+    const counted = event.completed || event.seconds_listened >= SKIP_THRESHOLD_SECONDS;
+    credit(event.song, { score: counted ? 1 : 0, minutes, play: counted });
+  });
+  rangeFavorites.forEach(favorite => credit(songsById.get(favorite.song_id), { score: FAVORITE_SCORE }));
+  rangeRatings.forEach(rating => credit(songsById.get(rating.song_id), { score: rating.rating - 3 }));
+
+  const ratingDistribution = [1, 2, 3, 4, 5].map(stars => rangeRatings.filter(rating => rating.rating === stars).length);
+  const averageRating = rangeRatings.length > 0
+    ? rangeRatings.reduce((sum, rating) => sum + rating.rating, 0) / rangeRatings.length
+    : 0;
+
+  const today = dayNumber(now.getTime());
+  const { longest } = computeStreaks(playDays(plays), today);
+  // The current streak runs up to today, whatever the range
+  const { current } = computeStreaks(playDays(history), today);
+
+  return {
+    minutesListened: Math.round(secondsListened / 60),
+    plays: plays.length,
+    completedPlays: plays.filter(event => event.completed).length,
+    skippedPlays: plays.filter(event => event.skipped).length,
+    uniqueSongs: new Set(plays.map(event => event.song_id)).size,
+    activeDays: new Set(playDays(plays)).size,
+    topArtists: rank(artists),
+    topGenres: rank(genres),
+    byHour,
+    byDay,
+    ratingDistribution,
+    averageRating,
+    totalRatings: rangeRatings.length,
+    totalFavorites: rangeFavorites.length,
+    streaks: { current, longest }
+  };
+};
@@ -0,0 +1,136 @@
+import { computeListeningStats, getRangeBounds } from './listening-stats';
+
+const NOW = new Date(2026, 9, 18, 20, 0);
+
+// ISO time of a local hour (noon by default) `days` days before NOW
+const daysAgo = (days, hour = 12) => new Date(2026, 9, 18 - days, hour).toISOString();
+
+const song = (id, artist, genres = []) => ({ id, spotify_id: `sp-${id}`, name: `Song ${id}`, artist, genres });
+
+const SONGS = [song('a', 'Alpha', ['rock']), song('b', 'Beta', ['jazz']), song('c', 'Gamma', ['pop'])];
+
+const play = (songId, startedAt, { seconds = 120, completed = true, skipped = false } = {}) => ({
+  song_id: songId,
+  song: SONGS.find(s => s.id === songId),
+  started_at: startedAt,
+  seconds_listened: seconds,
+  completed,
+  skipped
+});
+
+const stats = (data, rangeId = '7d', custom = {}) => computeListeningStats({
+  songs: SONGS,
+  ...data,
+  range: getRangeBounds(rangeId, custom, NOW),
+  now: NOW
+});
+
+describe('getRangeBounds', () => {
+  test('covers whole days, today included', () => {
+    const { from, to } = getRangeBounds('7d', {}, NOW);
+    expect(new Date(from)).toEqual(new Date(2026, 9, 12));
+    expect(new Date(to + 1)).toEqual(new Date(2026, 9, 19));
+  });
+
+  test('starts this year on January 1st', () => {
+    expect(new Date(getRangeBounds('year', {}, NOW).from)).toEqual(new Date(2026, 0, 1));
+  });
+
+  test('fills in open or invalid custom bounds', () => {
+    const today = getRangeBounds('7d', {}, NOW).to;
+    expect(getRangeBounds('custom', { from: '2026-10-01' }, NOW)).toEqual({
+      from: new Date(2026, 9, 1).getTime(),
+      to: today
+    });
+    expect(getRangeBounds('custom', { from: 'nonsense', to: 'nonsense' }, NOW)).toEqual({ from: 0, to: today });
+  });
+});
+
+describe('computeListeningStats', () => {
+  test('counts plays and time inside the range only', () => {
+    const result = stats({
+      history: [play('a', daysAgo(0)), play('b', daysAgo(6)), play('c', daysAgo(7))]
+    });
+
+    expect(result.plays).toBe(2);
+    expect(result.minutesListened).toBe(4);
+    expect(result.uniqueSongs).toBe(2);
+    expect(result.activeDays).toBe(2);
+  });
+
+  test('leaves out plays with a missing or unreadable start time', () => {
+    const result = stats({
+      history: [play('a', daysAgo(1)), play('b', undefined), play('c', 'not a date')]
+    }, 'all');
+
+    expect(result.plays).toBe(1);
+    expect(result.topArtists.map(artist => artist.name)).toEqual(['Alpha']);
+    expect(result.streaks).toEqual({ current: 1, longest: 1 });
+  });
+
+  test('counts undated ratings and favorites in every range, but not unreadable ones', () => {
+    const result = stats({
+      ratings: [
+        { song_id: 'a', rating: 5 },
+        { song_id: 'b', rating: 1, created_at: 'not a date' },
+        { song_id: 'c', rating: 4, created_at: daysAgo(30) }
+      ],
+      favorites: [
+        { song_id: 'a' },
+        { song_id: 'b', created_at: 'not a date' },
+        { song_id: 'c', created_at: daysAgo(2) }
+      ]
+    });
+
+    expect(result.totalRatings).toBe(1);
+    expect(result.averageRating).toBe(5);
+    expect(result.ratingDistribution).toEqual([0, 0, 0, 0, 1]);
+    expect(result.totalFavorites).toBe(2);
+  });
+
+  test('ranks artists and genres by plays, favorites and ratings', () => {
+    const result = stats({
+      history: [play('a', daysAgo(0)), play('a', daysAgo(1)), play('b', daysAgo(1))],
+      favorites: [{ song_id: 'sp-c', created_at: daysAgo(0) }],
+      ratings: [{ song_id: 'b', rating: 1, created_at: daysAgo(0) }]
+    });
+
+    // Gamma: one favorite (3); Alpha: two plays (2); Beta: one play and a one-star rating (-1)
+    expect(result.topArtists.map(artist => [artist.name, artist.score])).toEqual([['Gamma', 3], ['Alpha', 2]]);
+    expect(result.topGenres.map(genre => genre.name)).toEqual(['pop', 'rock']);
+  });
+
+  test('adds quick skips to the time without crediting the artist', () => {
+    const result = stats({
+      history: [play('a', daysAgo(0), { seconds: 5, completed: false, skipped: true })]
+    });
+
+    expect(result.plays).toBe(1);
+    expect(result.skippedPlays).toBe(1);
+    expect(result.topArtists).toEqual([]);
+  });
+
+  test('tallies listening by hour and weekday', () => {
+    const result = stats({ history: [play('a', daysAgo(0, 9)), play('b', daysAgo(0, 9))] });
+
+    expect(result.byHour[9]).toBe(4);
+    expect(result.byDay[NOW.getDay()]).toBe(4);
+  });
+
+  test('keeps a streak that ended yesterday current', () => {
+    const result = stats({
+      history: [1, 2, 3, 5, 6].map(days => play('a', daysAgo(days)))
+    }, 'all');
+
+    expect(result.streaks).toEqual({ current: 3, longest: 3 });
+  });
+
+  test('computes the current streak from all history, whatever the range', () => {
+    const result = stats({
+      history: [0, 1, 2].map(days => play('a', daysAgo(days)))
+    }, 'custom', { from: '2026-01-01', to: '2026-01-31' });
+
+    expect(result.plays).toBe(0);
+    expect(result.streaks).toEqual({ current: 3, longest: 0 });
+  });
+});
@@ -0,0 +1,123 @@
+// Loudness normalization. Each preview's integrated loudness is measured once, in
+// the spirit of ITU-R BS.1770 (K-weighting, 400 ms blocks, absolute and relative
+// gates), and cached per track. The player turns it into a gain toward the target.
+
+import { createAnalysisCache } from './audio-analysis';
+import { STORES } from './idb';
+
+export const LOUDNESS_TARGETS = [
+  { id: 'quiet', label: 'Quiet', lufs: -19 },
+  { id: 'normal', label: 'Normal', lufs: -14 },
+  { id: 'loud', label: 'Loud', lufs: -11 }
+];
+
+export const DEFAULT_NORMALIZATION = { enabled: false, target: 'normal' };
+
+// Quiet tracks are only lifted this far; the limiter catches the peaks
+const MAX_BOOST_DB = 9;
+const MAX_CUT_DB = -15;
+
+const BLOCK_SECONDS = 0.4;
+const BLOCK_STEP_SECONDS = 0.1; // 75% overlap
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+const blockLoudness = (meanSquare) => -0.691 + 10 * Math.log10(meanSquare);
+
+// Run the buffer through the K-weighting filters in an offline context
+const applyKWeighting = async (buffer) => {
+  const context = new OfflineAudioContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+  const source = context.createBufferSource();
+  source.buffer = buffer;
+
+  const shelf = context.createBiquadFilter();
+  shelf.type = 'highshelf';
+  shelf.frequency.value = 1681.97;
+  shelf.gain.value = 4;
+
+  const highpass = context.createBiquadFilter();
+  highpass.type = 'highpass';
+  highpass.frequency.value = 38.13;
+  highpass.Q.value = 0.5;
+
+  source.connect(shelf);
+  shelf.connect(highpass);
+  highpass.connect(context.destination);
+  source.start();
+  return context.startRendering();
+};
+
+// Integrated loudness of an AudioBuffer in LUFS, or null for silence
+export const measureIntegratedLoudness = async (buffer) => {
+  const weighted = await applyKWeighting(buffer);
+  const blockLength = Math.round(BLOCK_SECONDS * weighted.sampleRate);
+  const step = Math.round(BLOCK_STEP_SECONDS * weighted.sampleRate);
+  if (weighted.length < blockLength) return null;
+
+  // Running sums of squares make every block an O(1) lookup
+  const prefixSums = Array.from({ length: weighted.numberOfChannels }, (_, channel) => {
+    const data = weighted.getChannelData(channel);
+    const sums = new Float64Array(data.length + 1);
+    for (let i = 0; i < data.length; i++) {
+      sums[i + 1] = sums[i] + data[i] * data[i];
+    }
+    return sums;
+  });
+
+  const blocks = [];
+  for (let start = 0; start + blockLength <= weighted.length; start += step) {
+    const meanSquare = prefixSums.reduce(
+      (sum, sums) => sum + (sums[start + blockLength] - sums[start]) / blockLength,
+      0
+    );
+    blocks.push(meanSquare);
+  }
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const aboveAbsolute = blocks.filter(meanSquare => meanSquare > 0 && blockLoudness(meanSquare) > ABSOLUTE_GATE);
+  if (aboveAbsolute.length === 0) return null;
+
+  const relativeThreshold = blockLoudness(mean(aboveAbsolute)) + RELATIVE_GATE;
+  const gated = aboveAbsolute.filter(meanSquare => blockLoudness(meanSquare) > relativeThreshold);
+  return blockLoudness(mean(gated));
+};
+
+const loudnessCache = createAnalysisCache({
+  store: STORES.loudness,
+  field: 'lufs',
+  analyse: measureIntegratedLoudness,
+  failedValue: undefined,
+  label: 'loudness'
+});
+
+// Cached loudness for `song`: a number, null for silence, or undefined if unmeasured
+export const getCachedLoudness = loudnessCache.getCached;
+
+// Measure `song` from `source` (a URL or a Blob) unless it is cached. Resolves to
+// the loudness, or undefined when the audio can't be fetched or decoded.
+export const measureTrackLoudness = loudnessCache.load;
+
+// Linear gain that moves a track measured at `lufs` to the target
+export const normalizationGain = (lufs, targetId) => {
+  if (lufs === null || lufs === undefined) return 1;
+  const target = LOUDNESS_TARGETS.find(t => t.id === targetId) || LOUDNESS_TARGETS[1];
+  const gainDb = Math.min(Math.max(target.lufs - lufs, MAX_CUT_DB), MAX_BOOST_DB);
+  return Math.pow(10, gainDb / 20);
+};
+
+// Brick-wall style limiter to keep boosted tracks from clipping. Disabled, it
+// passes audio through unchanged.
+export const createLimiter = (audioContext) => {
+  const node = audioContext.createDynamicsCompressor();
+  node.knee.value = 0;
+  node.attack.value = 0.003;
+  node.release.value = 0.25;
+
+  const setEnabled = (enabled) => {
+    node.threshold.value = enabled ? -1 : 0;
+    node.ratio.value = enabled ? 20 : 1;
+  };
+  setEnabled(false);
+
+  return { node, setEnabled };
+};
@@ -0,0 +1,270 @@
+// Playlist files for desktop players: write songs as M3U8 or XSPF, read either
+// format back into plain entries and match those entries to catalog songs.
+
+export const PLAYLIST_FORMATS = [
+  { id: 'm3u8', label: 'M3U8', extension: 'm3u8', mimeType: 'audio/x-mpegurl' },
+  { id: 'xspf', label: 'XSPF', extension: 'xspf', mimeType: 'application/xspf+xml' }
+];
+
+const XSPF_NAMESPACE = 'http://xspf.org/ns/0/';
+const SPOTIFY_TRACK_URL = 'https://open.spotify.com/track/';
+const SPOTIFY_ID_PATTERN = /(?:open\.spotify\.com\/track\/|spotify:track:)([A-Za-z0-9]{22})/;
+
+export const spotifyTrackUrl = (song) => (
+  song.spotify_id ? `${SPOTIFY_TRACK_URL}${song.spotify_id}` : null
+);
+
+const durationSeconds = (song) => (
+  song.duration_ms ? Math.round(song.duration_ms / 1000) : -1
+);
+
+// Preview first so desktop players get something they can actually play
+const songLocations = (song) => [song.preview_url, spotifyTrackUrl(song)].filter(Boolean);
+
+// --- Export ---
+
+// M3U entries are single lines
+const m3uText = (value) => String(value || '').replace(/[\r\n]+/g, ' ').trim();
+
+export const toM3U8 = (name, songs) => {
+  const lines = ['#EXTM3U', `#PLAYLIST:${m3uText(name)}`];
+
+  songs.forEach(song => {
+    const [location, ...alternates] = songLocations(song);
+    lines.push('');
+    lines.push(`#EXTINF:${durationSeconds(song)},${m3uText(song.artist)} - ${m3uText(song.name)}`);
+    if (song.album) {
+      lines.push(`#EXTALB:${m3uText(song.album)}`);
+    }
+    // Players ignore plain comments; our importer reads them for the other URLs
+    alternates.forEach(url => lines.push(`# ${url}`));
+    // Without a URL, a local-style file name still carries the title for matching
+    lines.push(location || `${m3uText(song.artist)} - ${m3uText(song.name)}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const xmlElement = (tag, value) => (
+  value === null || value === undefined || value === '' ? null : `<${tag}>${escapeXml(value)}</${tag}>`
+);
+
+export const toXSPF = (name, songs) => {
+  const tracks = songs.map(song => {
+    const fields = [
+      ...songLocations(song).map(url => xmlElement('location', url)),
+      song.spotify_id && xmlElement('identifier', `spotify:track:${song.spotify_id}`),
+      xmlElement('title', song.name),
+      xmlElement('creator', song.artist),
+      song.image_url && xmlElement('image', song.image_url),
+      xmlElement('album', song.album),
+      song.duration_ms && xmlElement('duration', Math.round(song.duration_ms))
+    ].filter(Boolean);
+    return `    <track>\n${fields.map(field => `      ${field}`).join('\n')}\n    </track>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<playlist version="1" xmlns="${XSPF_NAMESPACE}">`,
+    `  ${xmlElement('title', name) || '<title />'}`,
+    `  ${xmlElement('date', new Date().toISOString())}`,
+    '  <trackList>',
+    ...tracks,
+    '  </trackList>',
+    '</playlist>',
+    ''
+  ].join('\n');
+};
+
+export const serializePlaylist = (formatId, name, songs) => (
+  formatId === 'xspf' ? toXSPF(name, songs) : toM3U8(name, songs)
+);
+
+// --- Import ---
+
+const findSpotifyId = (values) => {
+  for (const value of values) {
+    const match = SPOTIFY_ID_PATTERN.exec(value || '');
+    if (match) return match[1];
+  }
+  return null;
+};
+
+// "Artist - Title", falling back to the file name of a bare location
+const splitDisplayTitle = (text) => {
+  const separator = text.indexOf(' - ');
+  return separator === -1
+    ? { artist: '', title: text.trim() }
+    : { artist: text.slice(0, separator).trim(), title: text.slice(separator + 3).trim() };
+};
+
+const titleFromLocation = (location) => {
+  let file = location.split(/[\\/]/).pop() || '';
+  try {
+    file = decodeURIComponent(file);
+  } catch (error) {
+    // Not URL-encoded; use it as is
+  }
+  return splitDisplayTitle(file.replace(/\.[a-z0-9]{2,4}$/i, ''));
+};
+
+const parseM3U = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim());
+  const entries = [];
+  let name = null;
+  let current = { comments: [] };
+
+  lines.forEach(line => {
+    if (!line) return;
+
+    if (line.startsWith('#PLAYLIST:')) {
+      name = line.slice('#PLAYLIST:'.length).trim() || null;
+    } else if (line.startsWith('#EXTINF:')) {
+      const info = line.slice('#EXTINF:'.length);
+      const comma = info.indexOf(',');
+      const seconds = parseFloat(comma === -1 ? info : info.slice(0, comma));
+      current = {
+        ...splitDisplayTitle(comma === -1 ? '' : info.slice(comma + 1)),
+        duration: seconds > 0 ? seconds : null,
+        comments: []
+      };
+    } else if (line.startsWith('#EXTALB:')) {
+      current.album = line.slice('#EXTALB:'.length).trim();
+    } else if (line.startsWith('#')) {
+      current.comments.push(line.slice(1).trim());
+    } else {
+      const fallback = current.title ? {} : titleFromLocation(line);
+      entries.push({
+        title: current.title || fallback.title,
+        artist: current.artist || fallback.artist || '',
+        album: current.album || null,
+        duration: current.duration ?? null,
+        locations: [line],
+        spotifyId: findSpotifyId([line, ...current.comments])
+      });
+      current = { comments: [] };
+    }
+  });
+
+  return { name, entries };
+};
+
+const parseXSPF = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('This XSPF file is not valid XML');
+  }
+  const playlist = doc.documentElement;
+  if (playlist.localName !== 'playlist') {
+    throw new Error('This is not an XSPF playlist');
+  }
+
+  const childText = (parent, tag) => {
+    const child = Array.from(parent.children).find(node => node.localName === tag);
+    return child ? child.textContent.trim() : null;
+  };
+  const childTexts = (parent, tag) => Array.from(parent.children)
+    .filter(node => node.localName === tag)
+    .map(node => node.textContent.trim())
+    .filter(Boolean);
+
+  const entries = Array.from(playlist.getElementsByTagNameNS('*', 'track')).map(track => {
+    const locations = childTexts(track, 'location');
+    const durationMs = parseInt(childText(track, 'duration'), 10);
+    const fallback = titleFromLocation(locations[0] || '');
+    return {
+      title: childText(track, 'title') || fallback.title,
+      artist: childText(track, 'creator') || fallback.artist || '',
+      album: childText(track, 'album'),
+      duration: durationMs > 0 ? durationMs / 1000 : null,
+      locations,
+      spotifyId: findSpotifyId([...childTexts(track, 'identifier'), ...locations])
+    };
+  });
+
+  return { name: childText(playlist, 'title'), entries };
+};
+
+// Read an M3U/M3U8 or XSPF file into `{ name, entries }`. Throws an Error with a
+// readable message when the file can't be used.
+export const parsePlaylistFile = (text, fileName = '') => {
+  const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+  const isXspf = /\.xspf$/i.test(fileName) || trimmed.startsWith('<');
+  const parsed = isXspf ? parseXSPF(trimmed) : parseM3U(trimmed);
+
+  const entries = parsed.entries.filter(entry => entry.title || entry.spotifyId);
+  if (entries.length === 0) {
+    throw new Error('No tracks found in this playlist');
+  }
+  return {
+    name: parsed.name || fileName.replace(/\.[^.]+$/, '') || 'Imported playlist',
+    entries
+  };
+};
+
+// --- Matching ---
+
+const normalize = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/\(.*?\)|\[.*?\]/g, ' ') // "(feat. ...)", "[Remastered]"
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+// Best catalog match for a playlist entry among search results, or null
+export const matchCatalogSong = (entry, candidates) => {
+  if (entry.spotifyId) {
+    const exact = candidates.find(song => song.spotify_id === entry.spotifyId);
+    if (exact) return exact;
+  }
+
+  const title = normalize(entry.title);
+  const artist = normalize(entry.artist);
+  if (!title) return null;
+
+  const scored = candidates.map(song => {
+    const songTitle = normalize(song.name);
+    const songArtist = normalize(song.artist);
+    let score = 0;
+    if (songTitle === title) score += 3;
+    else if (songTitle.includes(title) || title.includes(songTitle)) score += 1;
+    if (artist && (songArtist.includes(artist) || artist.includes(songArtist))) score += 2;
+    if (entry.duration && song.duration_ms && Math.abs(song.duration_ms / 1000 - entry.duration) <= 3) score += 1;
+    return { song, score };
+  });
+
+  const best = scored.sort((a, b) => b.score - a.score)[0];
+  // A title match alone isn't enough when the file names an artist
+  const needed = artist ? 4 : 3;
+  return best && best.score >= needed ? best.song : null;
+};
+
+// Match every entry through `search(query)`, which returns candidate songs.
+// Resolves to `{ matched, unmatched }`; `matched` keeps the playlist order.
+export const resolvePlaylistEntries = async (entries, search, { onProgress } = {}) => {
+  const matched = [];
+  const unmatched = [];
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    try {
+      const candidates = await search(`${entry.title} ${entry.artist}`.trim());
+      const song = matchCatalogSong(entry, candidates || []);
+      if (song) {
+        matched.push(song);
+      } else {
+        unmatched.push(entry);
+      }
+    } catch (error) {
+      unmatched.push(entry);
+    }
+    if (onProgress) onProgress(i + 1, entries.length);
+  }
+
+  return { matched, unmatched };
+};
@@ -0,0 +1,159 @@
+import {
+  matchCatalogSong,
+  parsePlaylistFile,
+  resolvePlaylistEntries,
+  serializePlaylist,
+  toM3U8,
+  toXSPF
+} from './playlist-files';
+
+const SPOTIFY_ID = '4uLU6hMCjMI75M1A2tKUQC';
+
+const SONGS = [
+  {
+    id: 's1',
+    spotify_id: SPOTIFY_ID,
+    name: 'Never Gonna Give You Up',
+    artist: 'Rick Astley',
+    album: 'Whenever You Need Somebody',
+    duration_ms: 213000,
+    preview_url: 'https://cdn.example.com/previews/s1.mp3',
+    image_url: 'https://cdn.example.com/covers/s1.jpg'
+  },
+  {
+    id: 's2',
+    name: 'Tom & Jerry <Live>',
+    artist: 'Cats "and" Mice',
+    duration_ms: 95400
+  }
+];
+
+const EXPECTED_ENTRIES = [
+  {
+    title: 'Never Gonna Give You Up',
+    artist: 'Rick Astley',
+    album: 'Whenever You Need Somebody',
+    duration: 213,
+    spotifyId: SPOTIFY_ID
+  },
+  {
+    title: 'Tom & Jerry <Live>',
+    artist: 'Cats "and" Mice',
+    album: null,
+    spotifyId: null
+  }
+];
+
+describe('round trips', () => {
+  test('M3U8 keeps titles, artists, albums, durations and Spotify ids', () => {
+    const text = toM3U8('Road trip', SONGS);
+    const { name, entries } = parsePlaylistFile(text, 'road-trip.m3u8');
+
+    expect(text.startsWith('#EXTM3U\n#PLAYLIST:Road trip\n')).toBe(true);
+    expect(name).toBe('Road trip');
+    expect(entries).toMatchObject(EXPECTED_ENTRIES);
+    expect(entries[0].locations).toEqual([SONGS[0].preview_url]);
+    expect(entries[1].duration).toBe(95);
+  });
+
+  test('XSPF keeps titles, artists, albums, durations and Spotify ids', () => {
+    const text = toXSPF('Road & trip', SONGS);
+    const { name, entries } = parsePlaylistFile(text, 'road-trip.xspf');
+
+    expect(name).toBe('Road & trip');
+    expect(entries).toMatchObject(EXPECTED_ENTRIES);
+    expect(entries[0].locations).toEqual([SONGS[0].preview_url, `https://open.spotify.com/track/${SPOTIFY_ID}`]);
+    expect(entries[1].duration).toBe(95.4);
+  });
+
+  test('serializePlaylist picks the writer by format id', () => {
+    expect(serializePlaylist('m3u8', 'A', SONGS)).toBe(toM3U8('A', SONGS));
+    expect(serializePlaylist('xspf', 'A', SONGS)).toMatch(/^<\?xml/);
+  });
+});
+
+describe('parsePlaylistFile', () => {
+  test('reads plain M3U with bare file paths', () => {
+    const { name, entries } = parsePlaylistFile(
+      '\uFEFF/music/Daft%20Punk%20-%20One%20More%20Time.mp3\r\nC:\\music\\Intro.flac\r\n',
+      'mix.m3u'
+    );
+
+    expect(name).toBe('mix');
+    expect(entries.map(({ title, artist }) => [title, artist])).toEqual([
+      ['One More Time', 'Daft Punk'],
+      ['Intro', '']
+    ]);
+  });
+
+  test('finds Spotify ids in locations and comments', () => {
+    const { entries } = parsePlaylistFile([
+      '#EXTM3U',
+      '#EXTINF:200,Someone - Something',
+      `# spotify:track:${SPOTIFY_ID}`,
+      'something.mp3'
+    ].join('\n'));
+
+    expect(entries[0].spotifyId).toBe(SPOTIFY_ID);
+  });
+
+  test('rejects empty playlists and broken XML', () => {
+    expect(() => parsePlaylistFile('#EXTM3U\n', 'empty.m3u8')).toThrow('No tracks found in this playlist');
+    expect(() => parsePlaylistFile('<playlist><trackList>', 'broken.xspf')).toThrow('This XSPF file is not valid XML');
+    expect(() => parsePlaylistFile('<html></html>', 'page.xspf')).toThrow('This is not an XSPF playlist');
+  });
+});
+
+describe('matchCatalogSong', () => {
+  const candidates = [
+    { id: 'c1', spotify_id: 'other', name: 'Hello', artist: 'Adele', duration_ms: 295000 },
+    { id: 'c2', name: 'Hello (Remastered)', artist: 'Lionel Richie', duration_ms: 251000 },
+    { id: 'c3', spotify_id: SPOTIFY_ID, name: 'Something else entirely', artist: 'Nobody' }
+  ];
+
+  test('prefers an exact Spotify id over any title match', () => {
+    expect(matchCatalogSong({ title: 'Hello', artist: 'Adele', spotifyId: SPOTIFY_ID }, candidates).id).toBe('c3');
+  });
+
+  test('needs title and artist when the entry names an artist', () => {
+    expect(matchCatalogSong({ title: 'Hello', artist: 'Lionel Richie' }, candidates).id).toBe('c2');
+    // Exact title alone scores 3 of the 4 needed
+    expect(matchCatalogSong({ title: 'Hello', artist: 'Beyoncé' }, candidates.slice(0, 1))).toBeNull();
+  });
+
+  test('lets a matching duration stand in for the artist', () => {
+    expect(matchCatalogSong({ title: 'Hello', artist: 'Unknown', duration: 296 }, candidates).id).toBe('c1');
+    expect(matchCatalogSong({ title: 'Hello', artist: 'Unknown', duration: 299 }, candidates.slice(0, 1))).toBeNull();
+  });
+
+  test('takes an exact title when the entry has no artist', () => {
+    expect(matchCatalogSong({ title: 'hello!', artist: '' }, candidates).id).toBe('c1');
+    // A partial title match plus duration is still too weak
+    expect(matchCatalogSong({ title: 'Hello Goodbye', artist: '', duration: 251 }, candidates.slice(1, 2))).toBeNull();
+  });
+
+  test('gives up without a title or candidates', () => {
+    expect(matchCatalogSong({ title: '', artist: 'Adele' }, candidates)).toBeNull();
+    expect(matchCatalogSong({ title: 'Hello', artist: '' }, [])).toBeNull();
+  });
+});
+
+test('resolvePlaylistEntries keeps order and collects what it cannot match', async () => {
+  const entries = [
+    { title: 'Hello', artist: 'Adele' },
+    { title: 'Missing', artist: 'Nobody' },
+    { title: 'Broken', artist: '' }
+  ];
+  const search = jest.fn(async (query) => {
+    if (query === 'Broken') throw new Error('search failed');
+    return [{ id: 'c1', name: 'Hello', artist: 'Adele' }];
+  });
+  const onProgress = jest.fn();
+
+  const { matched, unmatched } = await resolvePlaylistEntries(entries, search, { onProgress });
+
+  expect(search).toHaveBeenCalledWith('Hello Adele');
+  expect(matched.map(song => song.id)).toEqual(['c1']);
+  expect(unmatched).toEqual(entries.slice(1));
+  expect(onProgress.mock.calls).toEqual([[1, 3], [2, 3], [3, 3]]);
+});
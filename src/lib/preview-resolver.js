@@ -0,0 +1,176 @@
+// Resolves a playable preview URL for a song by asking registered providers in
+// order. Results are cached in memory and in IndexedDB with an expiry; misses are
+// cached too, so unavailable songs don't trigger a fresh lookup on every play.
+
+import { STORES, idbClear, idbDelete, idbGet, idbGetAll, idbSet } from './idb';
+
+const HIT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MISS_TTL = 6 * 60 * 60 * 1000; // 6 hours: no provider had the track
+const ERROR_TTL = 5 * 60 * 1000; // 5 minutes: lookups failed, e.g. while offline
+const DEFAULT_TIMEOUT = 8000;
+
+const providers = [];
+const memoryCache = new Map();
+const pending = new Map();
+
+export const getPreviewCacheKey = (song) => (
+  song.spotify_id || song.id || `${song.name}|${song.artist}`
+);
+
+// Register a preview provider. Providers are tried in registration order unless
+// `before` names an existing provider id to insert ahead of.
+// A provider looks like `{ id, name, timeout, resolve(song, { signal }) }`, where
+// `resolve` returns a URL, or null when it has no preview for the song.
+export const registerPreviewProvider = (provider, { before } = {}) => {
+  const existing = providers.findIndex(p => p.id === provider.id);
+  if (existing !== -1) {
+    providers.splice(existing, 1);
+  }
+
+  const entry = { timeout: DEFAULT_TIMEOUT, ...provider };
+  const beforeIndex = before ? providers.findIndex(p => p.id === before) : -1;
+  if (beforeIndex === -1) {
+    providers.push(entry);
+  } else {
+    providers.splice(beforeIndex, 0, entry);
+  }
+};
+
+export const unregisterPreviewProvider = (id) => {
+  const index = providers.findIndex(p => p.id === id);
+  if (index !== -1) {
+    providers.splice(index, 1);
+  }
+};
+
+export const getPreviewProviders = () => providers.map(({ id, name, timeout }) => ({ id, name, timeout }));
+
+const readCache = async (key) => {
+  if (memoryCache.has(key)) {
+    return memoryCache.get(key);
+  }
+  try {
+    const entry = await idbGet(STORES.previewCache, key);
+    if (entry) {
+      memoryCache.set(key, entry);
+    }
+    return entry || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeCache = async (key, entry) => {
+  memoryCache.set(key, entry);
+  try {
+    await idbSet(STORES.previewCache, key, entry);
+  } catch (error) {
+    console.warn('Failed to persist preview cache entry:', error);
+  }
+};
+
+const runProvider = async (provider, song) => {
+  const controller = new AbortController();
+  let timeoutId;
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${provider.name} timed out after ${provider.timeout}ms`));
+    }, provider.timeout);
+  });
+
+  try {
+    return await Promise.race([provider.resolve(song, { signal: controller.signal }), timeout]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+const lookup = async (song, key) => {
+  let hadError = false;
+
+  for (const provider of providers) {
+    try {
+      const url = await runProvider(provider, song);
+      if (url) {
+        const entry = {
+          key,
+          status: 'hit',
+          url,
+          providerId: provider.id,
+          songName: song.name,
+          artist: song.artist,
+          resolvedAt: Date.now(),
+          expiresAt: Date.now() + HIT_TTL
+        };
+        await writeCache(key, entry);
+        return { url, providerId: provider.id, cached: false };
+      }
+    } catch (error) {
+      hadError = true;
+      console.warn(`Preview provider "${provider.id}" failed:`, error.message || error);
+    }
+  }
+
+  await writeCache(key, {
+    key,
+    status: 'miss',
+    url: null,
+    providerId: null,
+    songName: song.name,
+    artist: song.artist,
+    resolvedAt: Date.now(),
+    expiresAt: Date.now() + (hadError ? ERROR_TTL : MISS_TTL)
+  });
+  return null;
+};
+
+// Resolve a preview for `song`. Returns `{ url, providerId, cached }`, or null
+// when no provider has one. Concurrent calls for the same song share one lookup.
+export const resolvePreview = async (song) => {
+  const key = getPreviewCacheKey(song);
+
+  const cached = await readCache(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.status === 'hit'
+      ? { url: cached.url, providerId: cached.providerId, cached: true }
+      : null;
+  }
+
+  if (!pending.has(key)) {
+    pending.set(key, lookup(song, key).finally(() => pending.delete(key)));
+  }
+  return pending.get(key);
+};
+
+// Drop a cached result, e.g. after the cached URL failed to load
+export const invalidatePreview = async (song) => {
+  const key = getPreviewCacheKey(song);
+  memoryCache.delete(key);
+  try {
+    await idbDelete(STORES.previewCache, key);
+  } catch (error) {
+    console.warn('Failed to remove preview cache entry:', error);
+  }
+};
+
+export const getPreviewCacheEntries = async () => {
+  let entries;
+  try {
+    entries = await idbGetAll(STORES.previewCache);
+  } catch (error) {
+    entries = Array.from(memoryCache.values());
+  }
+  return entries
+    .filter(entry => entry.expiresAt > Date.now())
+    .sort((a, b) => b.resolvedAt - a.resolvedAt);
+};
+
+export const clearPreviewCache = async () => {
+  memoryCache.clear();
+  try {
+    await idbClear(STORES.previewCache);
+  } catch (error) {
+    console.warn('Failed to clear preview cache:', error);
+  }
+};
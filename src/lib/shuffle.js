@@ -0,0 +1,58 @@
+// Shuffle order helpers. An order is a permutation of queue indices; the
+// position of the current index splits it into play history and what is left
+// of the current cycle.
+
+export const shuffleArray = (items) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+// New cycle over `length` tracks, starting with `firstIndex` when given
+export const createShuffleOrder = (length, firstIndex = null) => {
+  const indices = Array.from({ length }, (_, i) => i);
+  if (firstIndex === null || firstIndex < 0 || firstIndex >= length) {
+    return shuffleArray(indices);
+  }
+  return [firstIndex, ...shuffleArray(indices.filter(i => i !== firstIndex))];
+};
+
+// Next cycle after one finished on `lastIndex`; avoids playing it twice in a row
+export const createNextCycle = (length, lastIndex) => {
+  const order = shuffleArray(Array.from({ length }, (_, i) => i));
+  if (order.length > 1 && order[0] === lastIndex) {
+    [order[0], order[1]] = [order[1], order[0]];
+  }
+  return order;
+};
+
+export const isValidShuffleOrder = (order, length) => (
+  Array.isArray(order) &&
+  order.length === length &&
+  new Set(order).size === length &&
+  order.every(i => Number.isInteger(i) && i >= 0 && i < length)
+);
+
+// Apply a queue index change to the order; `mapIndex` returns null for removed entries
+export const remapShuffleOrder = (order, mapIndex) => (
+  order.map(mapIndex).filter(i => i !== null)
+);
+
+// Newly appended tracks are mixed into the rest of the current cycle
+export const appendToShuffleOrder = (order, currentIndex, newIndices) => {
+  const position = order.indexOf(currentIndex);
+  return [
+    ...order.slice(0, position + 1),
+    ...shuffleArray([...order.slice(position + 1), ...newIndices])
+  ];
+};
+
+// Place `indices` directly after the current track, pulling them out of wherever they were
+export const placeAfterCurrent = (order, currentIndex, indices) => {
+  const rest = order.filter(i => !indices.includes(i));
+  const position = rest.indexOf(currentIndex);
+  return [...rest.slice(0, position + 1), ...indices, ...rest.slice(position + 1)];
+};
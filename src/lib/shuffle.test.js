@@ -0,0 +1,87 @@
+import {
+  appendToShuffleOrder,
+  createNextCycle,
+  createShuffleOrder,
+  isValidShuffleOrder,
+  placeAfterCurrent,
+  remapShuffleOrder,
+  shuffleArray
+} from './shuffle';
+
+// Enough runs for a broken shuffle to show, few enough to stay quick
+const RUNS = 50;
+
+const repeat = (check) => {
+  for (let run = 0; run < RUNS; run++) check();
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('shuffleArray returns a permutation and leaves its input alone', () => {
+  const items = [1, 2, 3, 4, 5];
+  repeat(() => {
+    expect([...shuffleArray(items)].sort()).toEqual(items);
+  });
+  expect(items).toEqual([1, 2, 3, 4, 5]);
+});
+
+test('shuffleArray actually reorders', () => {
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  // With j always 0, every element is swapped to the front in turn
+  expect(shuffleArray([0, 1, 2, 3])).toEqual([1, 2, 3, 0]);
+});
+
+test('createShuffleOrder covers every index and can start on a given one', () => {
+  repeat(() => {
+    expect(isValidShuffleOrder(createShuffleOrder(6), 6)).toBe(true);
+    const order = createShuffleOrder(6, 4);
+    expect(isValidShuffleOrder(order, 6)).toBe(true);
+    expect(order[0]).toBe(4);
+  });
+});
+
+test('createShuffleOrder ignores a first index outside the queue', () => {
+  expect(isValidShuffleOrder(createShuffleOrder(3, 7), 3)).toBe(true);
+  expect(isValidShuffleOrder(createShuffleOrder(3, -1), 3)).toBe(true);
+  expect(createShuffleOrder(0)).toEqual([]);
+});
+
+test('createNextCycle never starts with the track that just played', () => {
+  repeat(() => {
+    const order = createNextCycle(4, 2);
+    expect(isValidShuffleOrder(order, 4)).toBe(true);
+    expect(order[0]).not.toBe(2);
+  });
+  expect(createNextCycle(1, 0)).toEqual([0]);
+});
+
+test('isValidShuffleOrder rejects anything but a permutation of the queue', () => {
+  expect(isValidShuffleOrder([2, 0, 1], 3)).toBe(true);
+  expect(isValidShuffleOrder([0, 1], 3)).toBe(false);
+  expect(isValidShuffleOrder([0, 0, 1], 3)).toBe(false);
+  expect(isValidShuffleOrder([0, 1, 3], 3)).toBe(false);
+  expect(isValidShuffleOrder([0, 1.5, 2], 3)).toBe(false);
+  expect(isValidShuffleOrder(null, 0)).toBe(false);
+});
+
+test('remapShuffleOrder follows a removal', () => {
+  // Queue index 1 removed: later indices shift down
+  const mapIndex = (i) => (i === 1 ? null : i > 1 ? i - 1 : i);
+  expect(remapShuffleOrder([3, 1, 0, 2], mapIndex)).toEqual([2, 0, 1]);
+});
+
+test('appendToShuffleOrder keeps the history and mixes new tracks into the rest', () => {
+  repeat(() => {
+    const order = appendToShuffleOrder([2, 0, 3, 1], 0, [4, 5]);
+    expect(order.slice(0, 2)).toEqual([2, 0]);
+    expect([...order.slice(2)].sort()).toEqual([1, 3, 4, 5]);
+  });
+});
+
+test('placeAfterCurrent moves tracks right after the current one', () => {
+  expect(placeAfterCurrent([2, 0, 3, 1, 4], 0, [4])).toEqual([2, 0, 4, 3, 1]);
+  expect(placeAfterCurrent([2, 0, 3, 1, 4], 0, [4, 2])).toEqual([0, 4, 2, 3, 1]);
+  expect(placeAfterCurrent([2, 0, 3], 0, [5, 6])).toEqual([2, 0, 5, 6, 3]);
+});
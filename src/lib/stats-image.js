@@ -0,0 +1,99 @@
+// Draws the shareable listening summary onto a canvas and returns it as a PNG.
+// Sized for social posts (4:5 portrait), in the app's emerald/cyan palette.
+
+const WIDTH = 1080;
+const HEIGHT = 1350;
+const PADDING = 96;
+const FONT = '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif';
+
+// Shorten `text` with an ellipsis until it fits `maxWidth`
+const fitText = (context, text, maxWidth) => {
+  if (context.measureText(text).width <= maxWidth) return text;
+  let fitted = text;
+  while (fitted.length > 1 && context.measureText(`${fitted}…`).width > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}…`;
+};
+
+const drawList = (context, title, items, x, y, width) => {
+  context.font = `600 34px ${FONT}`;
+  context.fillStyle = 'rgba(255, 255, 255, 0.75)';
+  context.fillText(title, x, y);
+
+  context.font = `600 40px ${FONT}`;
+  context.fillStyle = '#ffffff';
+  items.forEach((item, index) => {
+    const line = `${index + 1}. ${item}`;
+    context.fillText(fitText(context, line, width), x, y + 64 + index * 56);
+  });
+  if (items.length === 0) {
+    context.font = `400 36px ${FONT}`;
+    context.fillStyle = 'rgba(255, 255, 255, 0.75)';
+    context.fillText('Not enough listening yet', x, y + 64);
+  }
+};
+
+// `stats` comes from computeListeningStats
+export const renderStatsSummary = (stats, { userName, rangeLabel }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const context = canvas.getContext('2d');
+
+  const background = context.createLinearGradient(0, 0, WIDTH, HEIGHT);
+  background.addColorStop(0, '#10b981');
+  background.addColorStop(1, '#06b6d4');
+  context.fillStyle = background;
+  context.fillRect(0, 0, WIDTH, HEIGHT);
+
+  context.textBaseline = 'alphabetic';
+  context.fillStyle = '#ffffff';
+  context.font = `700 40px ${FONT}`;
+  context.fillText('SoundScout', PADDING, PADDING + 20);
+
+  context.font = `700 64px ${FONT}`;
+  context.fillText(fitText(context, `${userName}'s listening`, WIDTH - PADDING * 2), PADDING, PADDING + 140);
+  context.font = `400 38px ${FONT}`;
+  context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  context.fillText(rangeLabel, PADDING, PADDING + 200);
+
+  // Headline number
+  context.fillStyle = '#ffffff';
+  context.font = `800 180px ${FONT}`;
+  context.fillText(stats.minutesListened.toLocaleString(), PADDING, PADDING + 410);
+  context.font = `600 44px ${FONT}`;
+  context.fillText('minutes listened', PADDING, PADDING + 475);
+
+  // Smaller figures in a row
+  const figures = [
+    { value: stats.plays, label: 'plays' },
+    { value: stats.uniqueSongs, label: 'songs' },
+    { value: stats.streaks.longest, label: 'day streak' }
+  ];
+  const columnWidth = (WIDTH - PADDING * 2) / figures.length;
+  figures.forEach(({ value, label }, index) => {
+    const x = PADDING + index * columnWidth;
+    context.font = `700 72px ${FONT}`;
+    context.fillStyle = '#ffffff';
+    context.fillText(String(value), x, PADDING + 620);
+    context.font = `400 34px ${FONT}`;
+    context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    context.fillText(label, x, PADDING + 668);
+  });
+
+  const listWidth = (WIDTH - PADDING * 3) / 2;
+  drawList(context, 'Top artists', stats.topArtists.map(artist => artist.name), PADDING, PADDING + 800, listWidth);
+  drawList(
+    context,
+    'Top genres',
+    stats.topGenres.map(genre => genre.name.charAt(0).toUpperCase() + genre.name.slice(1)),
+    PADDING * 2 + listWidth,
+    PADDING + 800,
+    listWidth
+  );
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not render the summary image'))), 'image/png');
+  });
+};
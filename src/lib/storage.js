@@ -0,0 +1,30 @@
+// Thin wrappers around localStorage. Storage can be unavailable (private mode,
+// quota exceeded, corrupted JSON), so every call fails soft and returns the fallback.
+
+const PREFIX = 'soundscout:';
+
+export const loadJSON = (key, fallback = null) => {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.warn(`Failed to read "${key}" from storage:`, error);
+    return fallback;
+  }
+};
+
+export const saveJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to write "${key}" to storage:`, error);
+  }
+};
+
+export const removeJSON = (key) => {
+  try {
+    window.localStorage.removeItem(PREFIX + key);
+  } catch (error) {
+    console.warn(`Failed to remove "${key}" from storage:`, error);
+  }
+};
@@ -0,0 +1,46 @@
+// Waveform peaks for the seek bar. A track is decoded once and reduced to a fixed
+// number of bars, scaled so the loudest bar is 1, then cached per track.
+
+import { createAnalysisCache } from './audio-analysis';
+import { STORES } from './idb';
+
+export const WAVEFORM_BARS = 120;
+
+// Peak amplitude per bar across all channels
+export const computePeaks = (buffer, bars = WAVEFORM_BARS) => {
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+  const samplesPerBar = Math.max(Math.floor(buffer.length / bars), 1);
+  const peaks = new Array(bars).fill(0);
+
+  for (let bar = 0; bar < bars; bar++) {
+    const start = bar * samplesPerBar;
+    const end = Math.min(start + samplesPerBar, buffer.length);
+    let peak = 0;
+    for (const data of channels) {
+      for (let i = start; i < end; i++) {
+        const sample = Math.abs(data[i]);
+        if (sample > peak) peak = sample;
+      }
+    }
+    peaks[bar] = peak;
+  }
+
+  const loudest = Math.max(...peaks);
+  // Two decimals are plenty for drawing and keep the stored entry small
+  return peaks.map(peak => (loudest > 0 ? Math.round((peak / loudest) * 100) / 100 : 0));
+};
+
+const waveformCache = createAnalysisCache({
+  store: STORES.waveforms,
+  field: 'peaks',
+  analyse: computePeaks,
+  failedValue: null,
+  label: 'waveform'
+});
+
+// Cached peaks: an array, or undefined when the track hasn't been analysed yet
+export const getCachedWaveform = waveformCache.getCached;
+
+// Decode `source` (a URL or a Blob) and cache its peaks. Resolves to null when
+// the audio can't be fetched or decoded.
+export const loadWaveform = waveformCache.load;